@@ -1,23 +1,117 @@
 import { DEFAULTS } from "./src/config/defaults.js";
 import { createStore } from "./src/ui/state.js";
-import { readConfigFromUI, onRunClicked, onSaveRun, onClearRuns } from "./src/ui/bindings.js";
+import {
+  readConfigFromUI,
+  writeConfigToUI,
+  bindYearsRange,
+  onShareClicked,
+  onScenarioSaved,
+  onScenarioAction,
+  onExportScenarios,
+  onImportScenarios,
+  onRunClicked,
+  onCancelRun,
+  onRunSensitivity,
+  onSaveRun,
+  onSavedRunRemoved,
+  onClearRuns,
+  onChartViewChanged,
+  onChartOptionChanged,
+  onAllocationInput,
+  onAssetAdded,
+  onAssetRemoved,
+  onScheduleRowAdded,
+  onScheduleRowRemoved,
+  onPresetClicked
+} from "./src/ui/bindings.js";
+import { renderAssetCards, renderAllocationBar, setAllocationPct } from "./src/ui/assets.js";
+import { renderSchedule, readSchedule, NEW_SCHEDULE_ROW } from "./src/ui/schedule.js";
+import { addAsset, removeAsset, assetInfo } from "./src/config/assets.js";
+import { presetAllocation } from "./src/config/presets.js";
+import { encodeConfig, decodeConfig } from "./src/config/share.js";
+import {
+  loadLibrary,
+  saveLibrary,
+  scenarioConfig,
+  saveScenario,
+  duplicateScenario,
+  renameScenario,
+  deleteScenario,
+  setDefaultScenario,
+  defaultScenario,
+  exportLibrary,
+  importLibrary
+} from "./src/config/library.js";
 import { validateInputs } from "./src/core/validation.js";
+import { formatMoney } from "./src/core/money.js";
 
-import { runSinglePath, runMonteCarloBands } from "./src/engine/simulator.js";
+import { runSinglePath, runExpectedPath } from "./src/engine/simulator.js";
+import { runMonteCarloParallel } from "./src/engine/parallel.js";
+import { inReportingDollars } from "./src/engine/inflation.js";
 import { computePathMetrics } from "./src/analytics/metrics.js";
 import { computeBands } from "./src/analytics/distribution.js";
+import { computeRetirementStats } from "./src/analytics/retirement.js";
+import { computeGoalStats } from "./src/analytics/goal.js";
+import { runStressTests } from "./src/analytics/stress.js";
+import { sensitivityCases, summarizeSensitivity } from "./src/analytics/sensitivity.js";
+import { computeTailRisk } from "./src/analytics/risk.js";
 
-import { renderSummary, renderSinglePathChart, renderBandsChart } from "./src/ui/render.js";
+import {
+  renderSummary,
+  renderRetirementSummary,
+  renderGoalSummary,
+  renderTailRisk,
+  renderProgress,
+  renderSinglePathChart,
+  renderBandsChart,
+  renderFinalsHistogram,
+  renderSensitivityChart,
+  renderAllocationChart
+} from "./src/ui/render.js";
+import {
+  MAX_SAVED_RUNS,
+  createSavedRun,
+  savedRunOverlays,
+  renderRunList,
+  renderCompareTable
+} from "./src/ui/compare.js";
+import { renderScenarioList, setScenarioStatus } from "./src/ui/library.js";
+import { renderStressResults } from "./src/ui/stress.js";
 
-// Optional: keep your existing compare code later; for now we store runs in memory
 const store = createStore({
   config: structuredClone(DEFAULTS),
   result: null,
   bands: null,
-  compare: [] // saved runs (future: includes metrics + bands)
+  mc: null, // Monte Carlo extras: dollar basis + retirement and goal stats
+  sensitivity: null, // tornado analysis for the last run's config (run on demand)
+  view: "growth", // chart tab: "growth" | "allocation" | "histogram" | "sensitivity"
+  chartOptions: { log: false, expected: false, path: false, tornado: "median" }, // histogram x axis, bands overlays, tornado metric
+  compare: [], // saved runs: label, config, metrics, bands (see ui/compare.js)
+  library: loadLibrary() // named scenarios, persisted to localStorage
 });
 
-function run() {
+// Persist + redraw the scenario library whenever it changes
+let persistedLibrary = store.getState().library;
+store.subscribe((state) => {
+  if (state.library === persistedLibrary) return;
+  persistedLibrary = state.library;
+  saveLibrary(state.library);
+  renderScenarioList(state.library);
+});
+
+let activeRun = null; // AbortController of the Monte Carlo in flight
+
+// Worker failures land in the same line as input errors rather than an unhandled rejection
+function showRunError(err) {
+  const allocationErrorEl = document.getElementById("allocationError");
+  if (allocationErrorEl) allocationErrorEl.textContent = `Simulation failed: ${err.message ?? err}`;
+}
+
+async function run() {
+  // a newer run supersedes whatever Monte Carlo or sensitivity job is still in flight
+  activeRun?.abort();
+  activeRun = null;
+
   const base = store.getState().config;
   const config = readConfigFromUI(base);
 
@@ -26,40 +120,182 @@ function run() {
   if (allocationErrorEl) allocationErrorEl.textContent = errors[0] ?? "";
   if (errors.length) return;
 
-  // SINGLE PATH (always)
-  const path = runSinglePath(config);
+  // SINGLE PATH (always), reported in nominal or today's dollars
+  const path = inReportingDollars(config, runSinglePath(config));
   const metrics = computePathMetrics(config, path);
+  const expected = inReportingDollars(config, runExpectedPath(config)).series.value;
+  // stress test: every crisis replayed on this seed, plus the unstressed baseline
+  const stress = config.stress.enabled ? runStressTests(config) : null;
 
   store.dispatch({ type: "SET_CONFIG", payload: config });
-  store.dispatch({ type: "SET_RESULT", payload: { path, metrics } });
+  store.dispatch({ type: "SET_RESULT", payload: { path, metrics, expected, stress } });
+  store.dispatch({ type: "SET_SENSITIVITY", payload: null }); // belongs to the previous inputs
 
   renderSummary(metrics);
+  renderStressResults(stress, config.stress.scenario);
 
-  // If Monte Carlo is enabled, render bands; else render path
+  // the previous run's Monte Carlo doesn't describe these inputs, whether or not a new one finishes
+  store.dispatch({ type: "SET_BANDS", payload: null });
+  store.dispatch({ type: "SET_MC", payload: null });
+  renderRetirementSummary(null);
+  renderGoalSummary(null);
+  renderTailRisk(null);
+
+  // If Monte Carlo is enabled, compute bands off the main thread; the chart shows them instead of the path
   if (config.monteCarlo.enabled) {
-    const mc = runMonteCarloBands(config);
-    const bands = computeBands(mc.yearlyBuckets);
+    const controller = new AbortController();
+    activeRun = controller;
+    renderProgress(0);
+
+    let mc;
+    try {
+      mc = await runMonteCarloParallel(config, { onProgress: renderProgress, signal: controller.signal });
+    } catch (err) {
+      // cancelled, failed or superseded: the chart shows the latest single path without bands
+      if (activeRun === controller && err.name !== "AbortError") showRunError(err);
+      renderChart();
+      return;
+    } finally {
+      if (activeRun === controller) {
+        activeRun = null;
+        renderProgress(null);
+      }
+    }
+
+    const bands = computeBands(mc.yearlyBuckets, config.monteCarlo.percentiles);
+    const retirement = computeRetirementStats(config, mc);
+    const goal = computeGoalStats(config, mc);
+    const tailRisk = computeTailRisk(mc.finals, config.monteCarlo.varLevels, metrics.invested);
     store.dispatch({ type: "SET_BANDS", payload: bands });
-    renderBandsChart(bands);
+    store.dispatch({ type: "SET_MC", payload: { dollars: mc.dollars, finals: mc.finals, retirement, goal, tailRisk } });
+    renderRetirementSummary(retirement);
+    renderGoalSummary(goal);
+    renderTailRisk(tailRisk);
+  }
+
+  renderChart();
+}
+
+// Sensitivity: the base case and every input nudged down/up, one Monte Carlo
+// each on the same seeds, run one after another on the worker pool
+async function runSensitivityAnalysis() {
+  const config = readConfigFromUI(store.getState().config);
+  const errors = validateInputs(config);
+  const allocationErrorEl = document.getElementById("allocationError");
+  if (allocationErrorEl) allocationErrorEl.textContent = errors[0] ?? "";
+  if (errors.length) return;
+
+  activeRun?.abort();
+  const controller = new AbortController();
+  activeRun = controller;
+  renderProgress(0);
+
+  const cases = sensitivityCases(config);
+  const results = [];
+  try {
+    for (const c of cases) {
+      const share = (f) => renderProgress((results.length + f) / cases.length);
+      results.push(await runMonteCarloParallel(c.config, { onProgress: share, signal: controller.signal }));
+    }
+  } catch (err) {
+    if (activeRun === controller && err.name !== "AbortError") showRunError(err);
+    return; // cancelled, superseded or failed: keep whatever was shown before
+  } finally {
+    if (activeRun === controller) {
+      activeRun = null;
+      renderProgress(null);
+    }
+  }
+
+  store.dispatch({ type: "SET_SENSITIVITY", payload: summarizeSensitivity(config, cases, results) });
+  renderChart();
+}
+
+const chartHintEl = document.getElementById("chartHint");
+const histLogToggleEl = document.getElementById("histLogToggle");
+const bandsOptionsEl = document.getElementById("bandsOptions");
+const sensitivityOptionsEl = document.getElementById("sensitivityOptions");
+
+function chartHint({ mc, sensitivity, view, chartOptions }) {
+  if (view === "histogram" && !mc) return "Turn on Monte Carlo to see the distribution of final values.";
+  if (view !== "sensitivity") return "";
+  if (!sensitivity) return "Run the analysis to see which inputs move the outcome most.";
+  if (chartOptions.tornado === "success" && !sensitivity.metric) {
+    return "Turn on Retirement or a Goal to measure success probability.";
+  }
+  return `Each input moved down and up with everything else fixed; ${sensitivity.runs} runs per case on the same seeds.`;
+}
+
+function renderChart() {
+  const state = store.getState();
+  const { config, result, bands, mc, sensitivity, view, chartOptions, compare } = state;
+  if (!result) return;
+
+  const showHistogram = view === "histogram" && !!mc;
+  if (chartHintEl) chartHintEl.textContent = chartHint(state);
+  histLogToggleEl?.classList.toggle("hidden", view !== "histogram");
+  bandsOptionsEl?.classList.toggle("hidden", view !== "growth" || !bands);
+  sensitivityOptionsEl?.classList.toggle("hidden", view !== "sensitivity");
+
+  const overlays = savedRunOverlays(compare);
+  if (view === "sensitivity" && sensitivity) {
+    renderSensitivityChart(sensitivity, chartOptions.tornado === "success" && sensitivity.metric ? "success" : "median");
+  } else if (view === "allocation") {
+    renderAllocationChart(result.path);
+  } else if (showHistogram) {
+    renderFinalsHistogram(mc.finals, {
+      invested: result.metrics.invested,
+      percentiles: config.monteCarlo.percentiles,
+      dollars: mc.dollars,
+      log: chartOptions.log
+    });
+  } else if (bands) {
+    renderBandsChart(bands, {
+      dollars: mc.dollars,
+      retirement: mc.retirement,
+      goal: mc.goal,
+      overlays,
+      expected: chartOptions.expected ? result.expected : null,
+      path: chartOptions.path ? result.path.series.value : null,
+      stress: result.path.series.stress
+    });
   } else {
-    store.dispatch({ type: "SET_BANDS", payload: null });
-    renderSinglePathChart(path);
+    renderSinglePathChart(result.path, {
+      retirementYear: config.withdrawal.enabled ? config.withdrawal.startYear : null,
+      overlays,
+      baseline: result.stress?.baselineValues ?? null,
+      invested: result.path.series.contributions.map((c) => config.startBalance + c)
+    });
   }
 }
 
 // Hooks
 onRunClicked(run);
+onCancelRun(() => activeRun?.abort());
+onRunSensitivity(runSensitivityAnalysis);
+
+onChartViewChanged((view) => {
+  store.dispatch({ type: "SET_VIEW", payload: view });
+  renderChart();
+});
+
+onChartOptionChanged((options) => {
+  store.dispatch({ type: "SET_CHART_OPTIONS", payload: options });
+  renderChart();
+});
 
 // --- Monte Carlo UI wiring (labels + slider value) ---
 const mcEnabledEl = document.getElementById("mcEnabled");
 const mcRunsEl = document.getElementById("mcRuns");
 const mcRunsValueEl = document.getElementById("mcRunsValue");
 const mcRunsRowEl = document.getElementById("mcRunsRow");
+const mcQuantilesRowEl = document.getElementById("mcQuantilesRow");
 const modeLabelEl = document.getElementById("modeLabel");
 
 function syncMcUi() {
   const enabled = !!mcEnabledEl?.checked;
   if (mcRunsRowEl) mcRunsRowEl.style.display = enabled ? "flex" : "none";
+  if (mcQuantilesRowEl) mcQuantilesRowEl.style.display = enabled ? "block" : "none";
   if (modeLabelEl) modeLabelEl.textContent = enabled ? "Monte Carlo" : "Single Path";
 }
 
@@ -73,18 +309,383 @@ if (mcRunsEl && mcRunsValueEl) {
 mcEnabledEl?.addEventListener("change", syncMcUi);
 syncMcUi();
 
-// These are placeholders so your compare UI buttons still do something.
-// Later we’ll upgrade compare to save bands/metrics and overlay properly.
-onSaveRun(() => {
+// --- Market model wiring (bootstrap block size, distribution shape) ---
+const marketModelEl = document.getElementById("marketModel");
+const bootstrapRowEl = document.getElementById("bootstrapRow");
+const tailsRowEl = document.getElementById("tailsRow");
+
+function syncMarketModelUi() {
+  const bootstrap = marketModelEl?.value === "bootstrap";
+  const distEls = [...document.querySelectorAll(".dist-select")];
+  if (bootstrapRowEl) bootstrapRowEl.style.display = bootstrap ? "block" : "none";
+
+  // history carries its own shape; df/skew only matter for fat-tailed assets
+  const fatTails = distEls.some((d) => d.value === "t" || d.value === "skewt");
+  if (tailsRowEl) tailsRowEl.style.display = !bootstrap && fatTails ? "grid" : "none";
+  for (const d of distEls) d.disabled = bootstrap;
+}
+
+marketModelEl?.addEventListener("change", syncMarketModelUi);
+document.getElementById("assetCards")?.addEventListener("change", syncMarketModelUi);
+
+// --- Rebalancing UI wiring (policy label + band field) ---
+const rebalanceEnabledEl = document.getElementById("rebalanceEnabled");
+const rebalanceFrequencyEl = document.getElementById("rebalanceFrequency");
+const rebalanceBandEl = document.getElementById("rebalanceBand");
+const rebalanceRowEl = document.getElementById("rebalanceRow");
+const rebalanceLabelEl = document.getElementById("rebalanceLabel");
+
+function syncRebalanceUi() {
+  const enabled = !!rebalanceEnabledEl?.checked;
+  const frequency = rebalanceFrequencyEl?.value ?? "annual";
+  if (rebalanceRowEl) rebalanceRowEl.style.display = enabled ? "grid" : "none";
+  if (rebalanceBandEl) rebalanceBandEl.disabled = frequency !== "threshold";
+  if (rebalanceLabelEl) {
+    rebalanceLabelEl.textContent = !enabled
+      ? "Off (drift)"
+      : rebalanceFrequencyEl?.selectedOptions[0]?.textContent ?? frequency;
+  }
+}
+
+rebalanceEnabledEl?.addEventListener("change", syncRebalanceUi);
+rebalanceFrequencyEl?.addEventListener("change", syncRebalanceUi);
+syncRebalanceUi();
+
+// --- Inflation UI wiring (dollar basis label + stochastic fields) ---
+const inflationEnabledEl = document.getElementById("inflationEnabled");
+const inflationModelEl = document.getElementById("inflationModel");
+const inflationVolEl = document.getElementById("inflationVol");
+const inflationRowEl = document.getElementById("inflationRow");
+const showRealEl = document.getElementById("showReal");
+const dollarLabelEl = document.getElementById("dollarLabel");
+
+function syncInflationUi() {
+  const enabled = !!inflationEnabledEl?.checked;
+  if (inflationRowEl) inflationRowEl.style.display = enabled ? "block" : "none";
+  if (inflationVolEl) inflationVolEl.disabled = inflationModelEl?.value !== "stochastic";
+  if (dollarLabelEl) dollarLabelEl.textContent = enabled && showRealEl?.checked ? "Today's $" : "Nominal $";
+}
+
+inflationEnabledEl?.addEventListener("change", syncInflationUi);
+inflationModelEl?.addEventListener("change", syncInflationUi);
+showRealEl?.addEventListener("change", syncInflationUi);
+syncInflationUi();
+
+// --- Tax UI wiring (account split label) ---
+const taxEnabledEl = document.getElementById("taxEnabled");
+const taxRowEl = document.getElementById("taxRow");
+const taxLabelEl = document.getElementById("taxLabel");
+const taxSplitEls = ["taxTaxable", "taxTraditional", "taxRoth"].map((id) => document.getElementById(id));
+
+function syncTaxUi() {
+  const enabled = !!taxEnabledEl?.checked;
+  if (taxRowEl) taxRowEl.style.display = enabled ? "block" : "none";
+  if (taxLabelEl) {
+    taxLabelEl.textContent = enabled
+      ? taxSplitEls.map((e) => Math.round(parseFloat(e?.value) || 0)).join(" / ") + " split"
+      : "Untaxed";
+  }
+}
+
+taxEnabledEl?.addEventListener("change", syncTaxUi);
+for (const e of taxSplitEls) e?.addEventListener("input", syncTaxUi);
+syncTaxUi();
+
+// --- Retirement UI wiring ---
+const wdEnabledEl = document.getElementById("wdEnabled");
+const wdStartYearEl = document.getElementById("wdStartYear");
+const wdStrategyEl = document.getElementById("wdStrategy");
+const wdRateEl = document.getElementById("wdRate");
+const wdRowEl = document.getElementById("wdRow");
+const retirementLabelEl = document.getElementById("retirementLabel");
+
+function syncRetirementUi() {
+  const enabled = !!wdEnabledEl?.checked;
+  if (wdRowEl) wdRowEl.style.display = enabled ? "block" : "none";
+  // VPW sizes spending from the remaining horizon, not an initial rate
+  if (wdRateEl) wdRateEl.disabled = wdStrategyEl?.value === "vpw";
+  if (retirementLabelEl) {
+    retirementLabelEl.textContent = enabled ? `Retire in year ${wdStartYearEl?.value ?? "-"}` : "Accumulating";
+  }
+}
+
+wdEnabledEl?.addEventListener("change", syncRetirementUi);
+wdStartYearEl?.addEventListener("input", syncRetirementUi);
+wdStrategyEl?.addEventListener("change", syncRetirementUi);
+syncRetirementUi();
+
+// --- Goal UI wiring ---
+const goalEnabledEl = document.getElementById("goalEnabled");
+const goalTargetEl = document.getElementById("goalTarget");
+const goalYearEl = document.getElementById("goalYear");
+const goalRowEl = document.getElementById("goalRow");
+const goalLabelEl = document.getElementById("goalLabel");
+
+function syncGoalUi() {
+  const enabled = !!goalEnabledEl?.checked;
+  if (goalRowEl) goalRowEl.style.display = enabled ? "block" : "none";
+  if (goalLabelEl) {
+    goalLabelEl.textContent = enabled
+      ? `${formatMoney(parseFloat(goalTargetEl?.value) || 0)} by year ${goalYearEl?.value ?? "-"}`
+      : "No target";
+  }
+}
+
+goalEnabledEl?.addEventListener("change", syncGoalUi);
+goalTargetEl?.addEventListener("input", syncGoalUi);
+goalYearEl?.addEventListener("input", syncGoalUi);
+syncGoalUi();
+
+// --- Sensitivity UI wiring ---
+const sensRunsEl = document.getElementById("sensRuns");
+const sensitivityLabelEl = document.getElementById("sensitivityLabel");
+
+function syncSensitivityUi() {
+  if (sensitivityLabelEl) sensitivityLabelEl.textContent = `${sensRunsEl?.value ?? "-"} runs per case`;
+}
+
+sensRunsEl?.addEventListener("input", syncSensitivityUi);
+syncSensitivityUi();
+
+// --- Stress test UI wiring ---
+const stressEnabledEl = document.getElementById("stressEnabled");
+const stressScenarioEl = document.getElementById("stressScenario");
+const stressStartYearEl = document.getElementById("stressStartYear");
+const stressRowEl = document.getElementById("stressRow");
+const stressLabelEl = document.getElementById("stressLabel");
+
+function syncStressUi() {
+  const enabled = !!stressEnabledEl?.checked;
+  if (stressRowEl) stressRowEl.style.display = enabled ? "block" : "none";
+  if (stressLabelEl) {
+    stressLabelEl.textContent = enabled
+      ? `${stressScenarioEl?.selectedOptions[0]?.textContent ?? "-"} · year ${stressStartYearEl?.value ?? "-"}`
+      : "Off";
+  }
+}
+
+stressEnabledEl?.addEventListener("change", syncStressUi);
+stressScenarioEl?.addEventListener("change", syncStressUi);
+stressStartYearEl?.addEventListener("input", syncStressUi);
+syncStressUi();
+
+// --- Glide path UI wiring (show the inputs for the chosen schedule) ---
+const glideTypeEl = document.getElementById("glideType");
+const glideLabelEl = document.getElementById("glideLabel");
+const glideRows = {
+  linear: document.getElementById("glideLinearRow"),
+  targetDate: document.getElementById("glideTargetRow"),
+  custom: document.getElementById("glideCustomRow")
+};
+
+function syncGlideUi() {
+  const type = glideTypeEl?.value ?? "none";
+  for (const [key, row] of Object.entries(glideRows)) {
+    if (row) row.style.display = key === type ? "block" : "none";
+  }
+  if (glideLabelEl) glideLabelEl.textContent = type === "none" ? "Fixed mix" : glideTypeEl.selectedOptions[0].textContent;
+}
+
+glideTypeEl?.addEventListener("change", syncGlideUi);
+
+// --- Asset list wiring (cards, presets, add/remove) ---
+const glideOrderHintEl = document.getElementById("glideOrderHint");
+
+function syncAssetsUi() {
+  const config = store.getState().config;
+  renderAssetCards(config);
+  if (glideOrderHintEl) {
+    glideOrderHintEl.textContent = "Percentages in asset order: " + config.assets.map((k) => assetInfo(k).label).join(" / ");
+  }
+  syncMarketModelUi();
+  syncGlideUi();
+}
+
+function updateAssets(next) {
+  store.dispatch({ type: "SET_CONFIG", payload: next });
+  syncAssetsUi();
+}
+
+onAllocationInput(() => renderAllocationBar(store.getState().config));
+onAssetAdded((id) => updateAssets(addAsset(readConfigFromUI(store.getState().config), id)));
+onAssetRemoved((id) => updateAssets(removeAsset(readConfigFromUI(store.getState().config), id)));
+
+onPresetClicked((name) => {
+  const config = store.getState().config;
+  const weights = presetAllocation(name, config.assets);
+  setAllocationPct(config, Object.fromEntries(config.assets.map((k) => [k, weights[k] * 100])));
+});
+
+syncAssetsUi();
+
+// --- Contribution schedule rows (lump sums, pauses) ---
+function updateSchedule(kind, edit) {
+  const schedule = readSchedule();
+  schedule[kind] = edit(schedule[kind]);
+  renderSchedule(schedule);
+}
+
+onScheduleRowAdded((kind) => updateSchedule(kind, (rows) => [...rows, { ...NEW_SCHEDULE_ROW[kind] }]));
+onScheduleRowRemoved((kind, index) => updateSchedule(kind, (rows) => rows.filter((_, i) => i !== index)));
+
+// --- Saved runs: list, overlay on the growth chart, side-by-side table ---
+function renderCompare() {
+  const { compare } = store.getState();
+  renderRunList(compare);
+  renderCompareTable(compare);
+  renderChart();
+}
+
+onSaveRun((label) => {
   const state = store.getState();
-  if (!state.result) return;
-  const next = [...state.compare, state.result].slice(-3);
+  if (!state.result || state.compare.length >= MAX_SAVED_RUNS) return;
+  const saved = createSavedRun(state, label, state.compare);
+  store.dispatch({ type: "SET_COMPARE", payload: [...state.compare, saved] });
+  renderCompare();
+});
+
+onSavedRunRemoved((id) => {
+  const next = store.getState().compare.filter((r) => r.id !== id);
   store.dispatch({ type: "SET_COMPARE", payload: next });
+  renderCompare();
 });
 
 onClearRuns(() => {
   store.dispatch({ type: "SET_COMPARE", payload: [] });
+  renderCompare();
 });
 
+// --- Whole-config load (shared links) ---
+bindYearsRange();
+
+function applyConfig(config) {
+  store.dispatch({ type: "SET_CONFIG", payload: config });
+  writeConfigToUI(config);
+  syncMcUi();
+  syncRebalanceUi();
+  syncInflationUi();
+  syncTaxUi();
+  syncRetirementUi();
+  syncGoalUi();
+  syncStressUi();
+  syncSensitivityUi();
+  syncAssetsUi(); // also syncs market model + glide path rows
+}
+
+const shareStatusEl = document.getElementById("shareStatus");
+
+function setShareStatus(text) {
+  if (shareStatusEl) shareStatusEl.textContent = text;
+}
+
+onShareClicked(async () => {
+  const config = readConfigFromUI(store.getState().config);
+  const errors = validateInputs(config);
+  if (errors.length) {
+    setShareStatus(errors[0]);
+    return;
+  }
+
+  history.replaceState(null, "", `#${encodeConfig(config)}`);
+  try {
+    await navigator.clipboard.writeText(location.href);
+    setShareStatus("Link copied.");
+  } catch {
+    setShareStatus("Link is in the address bar.");
+  }
+});
+
+function loadFromHash() {
+  if (!location.hash) return;
+  const { config, errors } = decodeConfig(location.hash);
+  if (!config) {
+    setShareStatus(errors[0]);
+    return;
+  }
+  applyConfig(config);
+  setShareStatus("Loaded shared scenario.");
+  run();
+}
+
+window.addEventListener("hashchange", loadFromHash);
+
+// --- Scenario library (localStorage + JSON import/export) ---
+function updateLibrary(next) {
+  store.dispatch({ type: "SET_LIBRARY", payload: next });
+}
+
+function loadScenario(scenario) {
+  const { config, errors } = scenarioConfig(scenario);
+  if (!config) {
+    setScenarioStatus(`Can't load "${scenario.name}": ${errors[0]}`);
+    return false;
+  }
+  applyConfig(config);
+  return true;
+}
+
+onScenarioSaved((name) => {
+  const { config: base, library } = store.getState();
+  const config = readConfigFromUI(base);
+  const errors = validateInputs(config);
+  if (errors.length) {
+    setScenarioStatus(errors[0]);
+    return;
+  }
+
+  const label = name || `Scenario ${library.scenarios.length + 1}`;
+  updateLibrary(saveScenario(library, label, config));
+  document.getElementById("scenarioName").value = "";
+  setScenarioStatus(`Saved "${label}".`);
+});
+
+onScenarioAction((action, id) => {
+  const { library } = store.getState();
+  const scenario = library.scenarios.find((s) => s.id === id);
+  if (!scenario) return;
+
+  if (action === "load") {
+    if (!loadScenario(scenario)) return;
+    setScenarioStatus(`Loaded "${scenario.name}".`);
+    run();
+  } else if (action === "duplicate") {
+    updateLibrary(duplicateScenario(library, id));
+  } else if (action === "rename") {
+    const name = window.prompt("Rename scenario", scenario.name)?.trim();
+    if (name) updateLibrary(renameScenario(library, id, name));
+  } else if (action === "default") {
+    updateLibrary(setDefaultScenario(library, id));
+  } else if (action === "delete") {
+    if (window.confirm(`Delete "${scenario.name}"?`)) updateLibrary(deleteScenario(library, id));
+  }
+});
+
+onExportScenarios(() => {
+  const blob = new Blob([exportLibrary(store.getState().library)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = "portfolio-scenarios.json";
+  a.click();
+  URL.revokeObjectURL(a.href);
+});
+
+onImportScenarios((text) => {
+  const { library, imported, errors } = importLibrary(store.getState().library, text);
+  updateLibrary(library);
+  setScenarioStatus(
+    `Imported ${imported} scenario${imported === 1 ? "" : "s"}.` + (errors.length ? ` Skipped: ${errors.join("; ")}` : "")
+  );
+});
+
+renderScenarioList(store.getState().library);
+
+// A shared link wins over the default scenario
+if (location.hash) {
+  loadFromHash();
+} else {
+  const fallback = defaultScenario(store.getState().library);
+  if (fallback && loadScenario(fallback)) setScenarioStatus(`Loaded default "${fallback.name}".`);
+}
+
 // initial run (optional)
 // run();
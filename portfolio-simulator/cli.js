@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Headless runner: same engine + analytics as app.js, config from a JSON file,
+// a share link and/or --flags; writes the report as JSON or CSV.
+import { readFileSync, writeFileSync } from "node:fs";
+import { DEFAULTS } from "./src/config/defaults.js";
+import { decodeConfig, restoreConfig } from "./src/config/share.js";
+import { validateInputs } from "./src/core/validation.js";
+import { parseArgs, applyFlags, usage } from "./src/cli/args.js";
+import { buildReport, reportToCsv, CSV_TABLES } from "./src/cli/report.js";
+
+function fail(message, code = 1) {
+  process.stderr.write(`${message}\n`);
+  process.exit(code);
+}
+
+function loadBase(flags) {
+  if (flags.link) {
+    const { config, errors } = decodeConfig(flags.link.slice(flags.link.indexOf("#") + 1));
+    if (!config) fail(errors.join("\n"));
+    return config;
+  }
+
+  if (flags.config) {
+    let json;
+    try {
+      json = JSON.parse(readFileSync(flags.config, "utf8"));
+    } catch (err) {
+      fail(`Can't read ${flags.config}: ${err.message}`);
+    }
+    // partial configs are filled in from DEFAULTS, like share links
+    const { config, errors } = restoreConfig(json);
+    if (!config) fail(errors.join("\n"));
+    return config;
+  }
+
+  return structuredClone(DEFAULTS);
+}
+
+function main(argv) {
+  let flags;
+  try {
+    flags = parseArgs(argv);
+  } catch (err) {
+    fail(`${err.message}\n\n${usage()}`, 2);
+  }
+  if (flags.help) {
+    process.stdout.write(`${usage()}\n`);
+    return;
+  }
+
+  const format = flags.format ?? "json";
+  if (!["json", "csv"].includes(format)) fail(`Unknown format "${format}" (json or csv).`, 2);
+  if (flags.link && flags.config) fail(`Use either --link or --config, not both.\n\n${usage()}`, 2);
+  if (flags.table && !CSV_TABLES.includes(flags.table)) fail(`Unknown table "${flags.table}" (${CSV_TABLES.join(", ")}).`, 2);
+
+  let config;
+  try {
+    config = applyFlags(loadBase(flags), flags);
+  } catch (err) {
+    fail(err.message, 2);
+  }
+
+  const errors = validateInputs(config);
+  if (errors.length) fail(errors.join("\n"));
+
+  const table = flags.table ?? (config.monteCarlo.enabled ? "bands" : "path");
+  const report = buildReport(config, { sensitivity: flags.sensitivity === "true" });
+  let output;
+  try {
+    output = format === "csv" ? reportToCsv(report, table) : `${JSON.stringify(report, null, 2)}\n`;
+  } catch (err) {
+    fail(err.message, 2);
+  }
+
+  if (flags.out) writeFileSync(flags.out, output);
+  else process.stdout.write(output);
+}
+
+main(process.argv.slice(2));
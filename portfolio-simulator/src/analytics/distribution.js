@@ -1,33 +1,51 @@
 import { percentile } from "../core/math.js";
+import { digestQuantile } from "../core/tdigest.js";
 
-export function computeBands(yearlyBuckets) {
-  // yearlyBuckets[y] is sorted
-  const p10 = [];
-  const p50 = [];
-  const p90 = [];
+// A bucket is either a sorted array (exact) or a t-digest (streaming)
+export function bucketQuantile(bucket, p) {
+  return Array.isArray(bucket) ? percentile(bucket, p) : digestQuantile(bucket, p);
+}
 
-  for (const bucket of yearlyBuckets) {
-    p10.push(percentile(bucket, 0.10));
-    p50.push(percentile(bucket, 0.50));
-    p90.push(percentile(bucket, 0.90));
-  }
+// 0.05 -> "p5", 0.025 -> "p2.5"
+export function bandKey(p) {
+  return `p${Math.round(p * 1000) / 10}`;
+}
 
-  return { p10, p50, p90 };
+// One series per percentile, keyed by bandKey, plus the sorted `percentiles`
+// list. The median is always included (overlays, summaries and goals use p50).
+export function computeBands(yearlyBuckets, percentiles = [0.1, 0.5, 0.9]) {
+  const list = [...new Set([...percentiles, 0.5])].sort((a, b) => a - b);
+  const bands = { percentiles: list };
+  for (const p of list) bands[bandKey(p)] = yearlyBuckets.map((bucket) => bucketQuantile(bucket, p));
+  return bands;
 }
 
-export function histogram(sortedArr, binCount = 20) {
-  if (!sortedArr.length) return { bins: [], counts: [] };
-  const min = sortedArr[0];
-  const max = sortedArr[sortedArr.length - 1];
-  if (min === max) return { bins: [min], counts: [sortedArr.length] };
+// bins are left edges; with `log` the bins are equal-width in log space and
+// values <= 0 (depleted runs) are left out and counted in `excluded`
+export function histogram(sortedArr, binCount = 20, { log = false } = {}) {
+  const values = log ? sortedArr.filter((x) => x > 0) : sortedArr;
+  const excluded = sortedArr.length - values.length;
+  if (!values.length) return { bins: [], counts: [], edges: [], excluded };
+
+  const scale = log ? Math.log : (x) => x;
+  const unscale = log ? Math.exp : (x) => x;
+  const min = scale(values[0]);
+  const max = scale(values[values.length - 1]);
+  if (min === max) return { bins: [values[0]], counts: [values.length], edges: [values[0], values[0]], excluded };
 
   const width = (max - min) / binCount;
   const counts = Array(binCount).fill(0);
-  const bins = Array.from({ length: binCount }, (_, i) => min + i * width);
+  const edges = Array.from({ length: binCount + 1 }, (_, i) => unscale(min + i * width));
+  const bins = edges.slice(0, -1);
 
-  for (const x of sortedArr) {
-    const idx = Math.min(binCount - 1, Math.floor((x - min) / width));
+  for (const x of values) {
+    const idx = Math.min(binCount - 1, Math.floor((scale(x) - min) / width));
     counts[idx]++;
   }
-  return { bins, counts };
+  return { bins, counts, edges, excluded };
+}
+
+// Roughly sqrt(n) bins, kept readable
+export function binCountFor(n) {
+  return Math.max(10, Math.min(60, Math.round(Math.sqrt(n))));
 }
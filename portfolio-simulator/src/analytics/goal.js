@@ -0,0 +1,27 @@
+import { mean, percentile } from "../core/math.js";
+
+export function computeGoalStats(config, mc) {
+  if (!mc.goal) return null;
+
+  const { target, year } = config.goal;
+  const { valuesAtYear, firstHitYears } = mc.goal;
+
+  // valuesAtYear is sorted, so the misses come first
+  const misses = valuesAtYear.filter((v) => v < target);
+  const shortfalls = misses.map((v) => target - v).reverse(); // ascending
+
+  return {
+    target,
+    year,
+    successRate: mc.runs ? 1 - misses.length / mc.runs : 0, // share of runs at or above target in `year`
+    shortfall: {
+      runs: shortfalls.length,
+      mean: mean(shortfalls),
+      p10: percentile(shortfalls, 0.1),
+      p50: percentile(shortfalls, 0.5),
+      p90: percentile(shortfalls, 0.9)
+    },
+    reachedRuns: firstHitYears.length, // runs that touched the target at any point in the horizon
+    medianFirstYear: firstHitYears.length ? percentile(firstHitYears, 0.5) : null
+  };
+}
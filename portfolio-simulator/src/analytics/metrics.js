@@ -1,52 +1,180 @@
 import { mean, stdev } from "../core/math.js";
 
-export function computeMaxDrawdown(valueSeries) {
-  let peak = -Infinity;
-  let maxDD = 0; // negative
-  for (const v of valueSeries) {
-    if (v > peak) peak = v;
-    const dd = (v - peak) / peak; // <= 0
-    if (dd < maxDD) maxDD = dd;
+// Downside deviation: only returns below `target` count as risk
+export function computeSortino(rets, target) {
+  if (!rets.length) return 0;
+  const downside = Math.sqrt(mean(rets.map((r) => Math.min(0, r - target) ** 2)));
+  return downside > 0 ? (mean(rets) - target) / downside : 0;
+}
+
+// Drawdowns of a growth-of-$1 index built from yearly returns, so contributions
+// and withdrawals don't masquerade as gains or losses
+export function computeDrawdownStats(rets) {
+  let index = 1;
+  let peak = 1;
+  let maxDD = 0;
+  let sumSq = 0;
+  let underwater = 0; // years below the prior peak
+  let spell = 0; // length of the current spell under water
+  let longest = 0;
+
+  for (const r of rets) {
+    index *= 1 + r;
+    if (index >= peak) {
+      peak = index;
+      spell = 0;
+    } else {
+      underwater++;
+      spell++;
+      longest = Math.max(longest, spell);
+    }
+    const dd = index / peak - 1;
+    maxDD = Math.min(maxDD, dd);
+    sumSq += dd * dd;
   }
-  return maxDD; // e.g. -0.32
+
+  return {
+    maxDrawdown: maxDD,
+    ulcerIndex: rets.length ? Math.sqrt(sumSq / rets.length) : 0,
+    timeUnderWater: underwater,
+    longestRecovery: longest, // years from a peak back to it (a spell still open at the end counts up to the horizon)
+    recoveredAtEnd: spell === 0
+  };
+}
+
+// Dated flows in years from the start: money in is negative, money out (and the
+// final balance) positive. Lump sums land at the start of their year; regular
+// deposits and withdrawals happen at the start of each step, a year's amounts
+// spread evenly over its steps.
+export function cashFlows(config, path) {
+  const steps = path.monthly ? 12 : 1;
+  const { value, contributions, withdrawals = [], lumpSums = [] } = path.series;
+  const flows = [{ t: 0, amount: -config.startBalance }];
+
+  value.forEach((_, y) => {
+    const lumpSum = lumpSums[y] ?? 0;
+    if (lumpSum) flows.push({ t: y, amount: -lumpSum });
+    const deposit = contributions[y] - (y ? contributions[y - 1] : 0) - lumpSum;
+    const net = ((withdrawals[y] ?? 0) - deposit) / steps;
+    if (net === 0) return;
+    for (let s = 0; s < steps; s++) flows.push({ t: y + s / steps, amount: net });
+  });
+
+  flows.push({ t: value.length, amount: value[value.length - 1] });
+  return flows;
 }
 
+function netPresentValue(flows, rate) {
+  return flows.reduce((s, f) => s + f.amount / (1 + rate) ** f.t, 0);
+}
+
+// Money-weighted return: the annual rate that makes the flows' NPV zero.
+// Bisection on [-99%, 1000%]; null when there's no sign change to bracket.
+export function computeIRR(flows) {
+  let lo = -0.99;
+  let hi = 10;
+  let npvLo = netPresentValue(flows, lo);
+  if (npvLo * netPresentValue(flows, hi) > 0) return null;
+
+  for (let i = 0; i < 200 && hi - lo > 1e-10; i++) {
+    const mid = (lo + hi) / 2;
+    const npvMid = netPresentValue(flows, mid);
+    if (npvMid * npvLo > 0) {
+      lo = mid;
+      npvLo = npvMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Total invested grown to the final value, annualized over the horizon. Counts
+// every deposit as made on day one, so it understates growth when money goes in
+// over time; the IRR dates each deposit
 export function computeCAGR(startValue, endValue, years) {
   if (startValue <= 0 || years <= 0) return 0;
   return Math.pow(endValue / startValue, 1 / years) - 1;
 }
 
+// Time-weighted return: yearly returns chained, annualized (cash flows don't move it)
+export function computeTWR(rets) {
+  if (!rets.length) return 0;
+  return rets.reduce((g, r) => g * (1 + r), 1) ** (1 / rets.length) - 1;
+}
+
 export function computePathMetrics(config, path) {
   const values = path.series.value;
   const rets = path.series.returns;
 
   const finalValue = values[values.length - 1];
-  const contributions = config.monthlyContribution * 12 * config.horizonYears;
-  const gains = finalValue - contributions;
+  // invested = starting balance + every periodic deposit; gains are what the market added on top
+  const contributions = path.series.contributions[path.series.contributions.length - 1] ?? 0;
+  const invested = config.startBalance + contributions;
+  const withdrawals = path.series.withdrawals ?? [];
+  const totalWithdrawn = withdrawals.reduce((s, w) => s + w, 0);
+  const gains = finalValue + totalWithdrawn - invested;
+
+  // account taxes: the final balance if cashed out today (null when taxes are off), and every tax paid along the way
+  const afterTax = path.series.afterTax;
+  const afterTaxValue = afterTax ? afterTax[afterTax.length - 1] : null;
+  const totalTax = (path.series.taxes ?? []).reduce((s, t) => s + t, 0);
 
   const bestYear = Math.max(...rets);
   const worstYear = Math.min(...rets);
 
-  const maxDD = computeMaxDrawdown(values);
   const vol = stdev(rets);
   const avgReturn = mean(rets);
 
   // Sharpe-lite: (avg - rf) / vol
-  const rf = config.model.cash.mean; // use cash mean as proxy risk-free
+  const real = path.dollars === "real";
+  const rf = real // deflated like the returns when reporting real dollars
+    ? (1 + config.riskFreeRate) / (1 + config.inflation.rate) - 1
+    : config.riskFreeRate;
   const sharpeLite = vol > 0 ? (avgReturn - rf) / vol : 0;
 
-  const cagr = computeCAGR(config.startBalance + contributions, finalValue, config.horizonYears);
+  // money-weighted (what this saver earned, given when the money went in) vs time-weighted (the strategy)
+  const irr = computeIRR(cashFlows(config, path));
+  const twr = computeTWR(rets);
+  const cagr = computeCAGR(invested, finalValue, config.horizonYears);
+
+  // downside-aware ratios on the return series (time-weighted, cash flows excluded)
+  const sortino = computeSortino(rets, rf);
+  const dd = computeDrawdownStats(rets);
+  const calmar = dd.maxDrawdown < 0 ? twr / -dd.maxDrawdown : 0;
+
+  // rebalancing: how far weights wandered and how much was traded to fix it
+  const maxDrift = Math.max(0, ...(path.series.drift ?? []));
+  const turnover = (path.series.turnover ?? []).reduce((s, t) => s + t, 0);
 
   return {
+    dollars: real ? "real" : "nominal",
     finalValue,
     contributions,
+    invested,
     gains,
+    afterTaxValue,
+    totalTax,
     bestYear,
     worstYear,
-    maxDrawdown: maxDD,
+    maxDrawdown: dd.maxDrawdown, // on the return index, like Calmar and Ulcer
     volatility: vol,
     avgReturn,
     sharpeLite,
-    cagr
+    sortino,
+    calmar,
+    ulcerIndex: dd.ulcerIndex,
+    timeUnderWater: dd.timeUnderWater,
+    longestRecovery: dd.longestRecovery,
+    recoveredAtEnd: dd.recoveredAtEnd,
+    irr,
+    twr,
+    cagr,
+    maxDrift,
+    turnover,
+    rebalanceCount: path.rebalanceCount ?? 0,
+    totalWithdrawn,
+    firstWithdrawal: withdrawals.find((w) => w > 0) ?? 0,
+    depletedYear: path.depletedYear ?? null
   };
 }
@@ -0,0 +1,17 @@
+import { percentile } from "../core/math.js";
+import { computeBands } from "./distribution.js";
+
+export function computeRetirementStats(config, mc) {
+  if (!mc.retirement) return null;
+
+  const { spendingBuckets, depletionYears } = mc.retirement;
+  const depletedRuns = depletionYears.length;
+
+  return {
+    startYear: config.withdrawal.startYear,
+    successRate: mc.runs ? 1 - depletedRuns / mc.runs : 0, // share of runs that funded every year
+    depletedRuns,
+    medianDepletionYear: depletedRuns ? percentile(depletionYears, 0.5) : null, // among depleted runs
+    spending: computeBands(spendingBuckets) // p10/p50/p90 of yearly withdrawals
+  };
+}
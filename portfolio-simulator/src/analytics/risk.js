@@ -0,0 +1,22 @@
+import { percentile } from "../core/math.js";
+
+// Tail risk of Monte Carlo final values at each confidence level. VaR is the
+// final value only (1 - level) of runs end below; CVaR is the average of those
+// runs. Losses are measured against the amount invested (positive = loss).
+export function computeTailRisk(finals, levels, invested) {
+  if (!finals.length) return [];
+
+  return levels.map((level) => {
+    const value = percentile(finals, 1 - level);
+    const tail = finals.filter((v) => v <= value); // finals are sorted ascending
+    const cvar = tail.reduce((s, v) => s + v, 0) / tail.length;
+
+    return {
+      level,
+      var: value,
+      cvar,
+      varLoss: invested - value,
+      cvarLoss: invested - cvar
+    };
+  });
+}
@@ -0,0 +1,162 @@
+import { runMonteCarloBands } from "../engine/simulator.js";
+import { clamp } from "../core/math.js";
+import { assetIds, assetInfo } from "../config/assets.js";
+import { computeBands } from "./distribution.js";
+import { computeRetirementStats } from "./retirement.js";
+import { computeGoalStats } from "./goal.js";
+
+// Growth-asset share moved to `share`; each side keeps its internal mix
+function withGrowthShare(allocation, ids, share) {
+  const growth = ids.filter((k) => assetInfo(k).class === "growth");
+  const current = growth.reduce((s, k) => s + allocation[k], 0);
+  return Object.fromEntries(
+    ids.map((k) => [k, growth.includes(k) ? (allocation[k] * share) / current : (allocation[k] * (1 - share)) / (1 - current)])
+  );
+}
+
+// The inputs to vary for this config: { id, label, format, value, low, high, set(config, value) }.
+// Return means and vols only drive the normal model (regimes and history bring
+// their own); inflation only matters when it is modelled.
+export function sensitivityInputs(config) {
+  const steps = config.sensitivity.steps;
+  const ids = assetIds(config);
+  const inputs = [];
+
+  if (config.model.generator === "normal") {
+    for (const k of ids) {
+      const m = config.model[k];
+      const withModel = (c, patch) => ({ ...c, model: { ...c.model, [k]: { ...c.model[k], ...patch } } });
+      inputs.push({
+        id: `mean.${k}`,
+        label: `${assetInfo(k).label} return`,
+        format: "pct",
+        value: m.mean,
+        low: m.mean - steps.mean,
+        high: m.mean + steps.mean,
+        set: (c, mean) => withModel(c, { mean })
+      });
+      inputs.push({
+        id: `vol.${k}`,
+        label: `${assetInfo(k).label} volatility`,
+        format: "pct",
+        value: m.vol,
+        low: Math.max(0, m.vol - steps.vol),
+        high: m.vol + steps.vol,
+        set: (c, vol) => withModel(c, { vol })
+      });
+    }
+  }
+
+  if (config.monthlyContribution > 0) {
+    const base = config.monthlyContribution;
+    inputs.push({
+      id: "contribution",
+      label: "Monthly contribution",
+      format: "money",
+      value: base,
+      low: Math.max(0, base * (1 - steps.contribution)),
+      high: base * (1 + steps.contribution),
+      set: (c, monthlyContribution) => ({ ...c, monthlyContribution })
+    });
+  }
+
+  // fees off count as 0%, so raising them switches them on
+  const fee = config.fees.enabled ? config.fees.annual : 0;
+  inputs.push({
+    id: "fees",
+    label: "Annual fees",
+    format: "pct",
+    value: fee,
+    low: Math.max(0, fee - steps.fees),
+    high: fee + steps.fees,
+    set: (c, annual) => ({ ...c, fees: { ...c.fees, enabled: annual > 0, annual } })
+  });
+
+  if (config.inflation.enabled) {
+    const rate = config.inflation.rate;
+    inputs.push({
+      id: "inflation",
+      label: "Inflation",
+      format: "pct",
+      value: rate,
+      low: rate - steps.inflation,
+      high: rate + steps.inflation,
+      set: (c, r) => ({ ...c, inflation: { ...c.inflation, rate: r } })
+    });
+  }
+
+  // allocation: the growth-asset share (needs both sides to shift between)
+  const share = ids.filter((k) => assetInfo(k).class === "growth").reduce((s, k) => s + config.allocation[k], 0);
+  if (share > 0 && share < 1) {
+    inputs.push({
+      id: "allocation",
+      label: "Growth allocation",
+      format: "pct",
+      value: share,
+      low: clamp(share - steps.allocation, 0.01, 0.99),
+      high: clamp(share + steps.allocation, 0.01, 0.99),
+      set: (c, s) => ({ ...c, allocation: withGrowthShare(c.allocation, assetIds(c), s) })
+    });
+  }
+
+  return inputs;
+}
+
+// Success = retirement spending lasted (withdrawals on), else the goal was reached
+// (goal on); null when neither is modelled
+export function successMetric(config) {
+  if (config.withdrawal?.enabled) return "retirement";
+  if (config.goal?.enabled) return "goal";
+  return null;
+}
+
+// Monte Carlo configs to run: the base case first, then each input low and high.
+// Every case uses the same seed stream, so differences come from the input alone.
+export function sensitivityCases(config) {
+  const monteCarlo = { ...config.monteCarlo, enabled: true, runs: config.sensitivity.runs };
+  const base = { ...config, monteCarlo };
+  return [
+    { input: null, config: base },
+    ...sensitivityInputs(config).flatMap((input) => [
+      { input, side: "low", config: input.set(base, input.low) },
+      { input, side: "high", config: input.set(base, input.high) }
+    ])
+  ];
+}
+
+function outcome(config, mc) {
+  const metric = successMetric(config);
+  const stats = metric === "retirement" ? computeRetirementStats(config, mc) : computeGoalStats(config, mc);
+  return {
+    median: computeBands(mc.yearlyBuckets, [0.5]).p50[mc.years - 1],
+    success: metric ? stats.successRate : null
+  };
+}
+
+// results[i] is the Monte Carlo result of cases[i]. Inputs come back sorted
+// by how far they swing the median final value.
+export function summarizeSensitivity(config, cases, results) {
+  const base = outcome(cases[0].config, results[0]);
+  const byInput = new Map();
+  cases.forEach((c, i) => {
+    if (!c.input) return;
+    const { id, label, format, value, low, high } = c.input;
+    const row = byInput.get(id) ?? { id, label, format, value, low: { value: low }, high: { value: high } };
+    row[c.side] = { ...row[c.side], ...outcome(c.config, results[i]) };
+    byInput.set(id, row);
+  });
+
+  const swing = (r) => Math.abs(r.high.median - r.low.median);
+  return {
+    runs: config.sensitivity.runs,
+    metric: successMetric(config),
+    base,
+    inputs: [...byInput.values()].sort((a, b) => swing(b) - swing(a))
+  };
+}
+
+// Synchronous version (CLI); the app runs the cases on the worker pool instead
+export function runSensitivity(config) {
+  const cases = sensitivityCases(config);
+  return summarizeSensitivity(config, cases, cases.map((c) => runMonteCarloBands(c.config)));
+}
@@ -0,0 +1,43 @@
+import { runSinglePath } from "../engine/simulator.js";
+import { inReportingDollars } from "../engine/inflation.js";
+import { computePathMetrics, computeDrawdownStats } from "./metrics.js";
+import { STRESS_SCENARIOS } from "../data/stress-scenarios.js";
+
+// Drawdown on the return index: contributions would otherwise refill the
+// balance and hide a crash (and the starting balance would never count as a peak)
+function pathOutcome(config) {
+  const path = inReportingDollars(config, runSinglePath(config));
+  const m = computePathMetrics(config, path);
+  const { maxDrawdown } = computeDrawdownStats(path.series.returns);
+  return { path, finalValue: m.finalValue, maxDrawdown, depletedYear: m.depletedYear };
+}
+
+// Every scenario replayed at stress.startYear on the same seed, against the
+// unstressed baseline. Random draws outside the shock years are identical, so
+// the differences are the sequence's own effect.
+export function runStressTests(config) {
+  const startYear = Math.min(config.stress.startYear, config.horizonYears);
+  const baseline = pathOutcome({ ...config, stress: { ...config.stress, enabled: false } });
+
+  const scenarios = Object.entries(STRESS_SCENARIOS).map(([id, s]) => {
+    const outcome = pathOutcome({ ...config, stress: { enabled: true, scenario: id, startYear } });
+    return {
+      id,
+      label: s.label,
+      note: s.note,
+      years: Math.min(s.to - s.from + 1, config.horizonYears - startYear + 1), // cut off at the horizon
+      finalValue: outcome.finalValue,
+      finalChange: outcome.finalValue - baseline.finalValue,
+      maxDrawdown: outcome.maxDrawdown,
+      drawdownChange: outcome.maxDrawdown - baseline.maxDrawdown, // negative = deeper
+      depletedYear: outcome.depletedYear
+    };
+  });
+
+  return {
+    startYear,
+    baseline: { finalValue: baseline.finalValue, maxDrawdown: baseline.maxDrawdown, depletedYear: baseline.depletedYear },
+    baselineValues: baseline.path.series.value,
+    scenarios
+  };
+}
@@ -0,0 +1,80 @@
+import { DEFAULTS } from "../config/defaults.js";
+
+// Runner options; every other --flag is a config path (see applyFlags)
+export const OPTIONS = {
+  config: "JSON file with a full or partial config (missing keys use DEFAULTS)",
+  link: "share link or hash (#v2=...) to load instead of --config",
+  format: "json (default) or csv",
+  table: "csv only: bands (default with Monte Carlo), path (default without), metrics, finals, stress or sensitivity",
+  sensitivity: "also run the sensitivity analysis (one Monte Carlo per input and direction)",
+  out: "write to this file instead of stdout",
+  help: "show this help"
+};
+
+// ["--a.b", "1", "--c=2", "--help"] -> { "a.b": "1", c: "2", help: "true" }
+export function parseArgs(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) throw new Error(`Unexpected argument "${arg}".`);
+
+    const eq = arg.indexOf("=");
+    if (eq !== -1) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags[arg.slice(2)] = argv[++i];
+    } else {
+      flags[arg.slice(2)] = "true";
+    }
+  }
+  return flags;
+}
+
+// "0.07" -> 0.07, "true" -> true, "[1,2]" -> [1, 2]; anything else stays a string
+function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Dotted flags named after DEFAULTS, e.g. --horizonYears 40 --model.stocks.mean 0.07.
+// Paths must exist in `config` so typos fail instead of being ignored.
+export function applyFlags(config, flags) {
+  const next = structuredClone(config);
+
+  for (const [path, raw] of Object.entries(flags)) {
+    if (path in OPTIONS) continue;
+
+    const keys = path.split(".");
+    let target = next;
+    for (const k of keys.slice(0, -1)) {
+      if (target?.[k] === null || typeof target?.[k] !== "object") throw new Error(`Unknown setting --${path}.`);
+      target = target[k];
+    }
+    const last = keys[keys.length - 1];
+    if (!(last in target)) throw new Error(`Unknown setting --${path}.`);
+    target[last] = parseValue(raw);
+  }
+
+  return next;
+}
+
+export function usage() {
+  const options = Object.entries(OPTIONS)
+    .map(([k, text]) => `  --${k.padEnd(8)} ${text}`)
+    .join("\n");
+  return [
+    "Usage: node cli.js [options] [--<setting> <value> ...]",
+    "",
+    "Options:",
+    options,
+    "",
+    "Settings use the DEFAULTS key paths, for example:",
+    "  --horizonYears 40 --monteCarlo.enabled true --monteCarlo.runs 2000",
+    "  --model.stocks.mean 0.07 --allocation '{\"stocks\":0.6,\"bonds\":0.4,\"cash\":0}'",
+    "",
+    `Top-level settings: ${Object.keys(DEFAULTS).join(", ")}`
+  ].join("\n");
+}
@@ -0,0 +1,110 @@
+import { runSinglePath, runExpectedPath, runMonteCarloBands } from "../engine/simulator.js";
+import { inReportingDollars } from "../engine/inflation.js";
+import { computePathMetrics } from "../analytics/metrics.js";
+import { computeBands, bandKey } from "../analytics/distribution.js";
+import { computeRetirementStats } from "../analytics/retirement.js";
+import { computeGoalStats } from "../analytics/goal.js";
+import { computeTailRisk } from "../analytics/risk.js";
+import { runStressTests } from "../analytics/stress.js";
+import { runSensitivity } from "../analytics/sensitivity.js";
+
+// Everything app.js computes for a run, as plain data. The sensitivity
+// analysis is opt-in: it reruns the Monte Carlo twice per input.
+export function buildReport(config, { sensitivity = false } = {}) {
+  const path = inReportingDollars(config, runSinglePath(config));
+  const metrics = computePathMetrics(config, path);
+  const report = {
+    config,
+    dollars: path.dollars,
+    metrics,
+    path: {
+      value: path.series.value,
+      contributions: path.series.contributions,
+      withdrawals: path.series.withdrawals,
+      returns: path.series.returns,
+      expected: inReportingDollars(config, runExpectedPath(config)).series.value // mean returns, no randomness
+    },
+    monteCarlo: null,
+    stress: null,
+    sensitivity: null
+  };
+
+  if (config.stress.enabled) report.stress = runStressTests(config); // path above includes the selected shock
+  if (sensitivity) report.sensitivity = runSensitivity(config);
+
+  if (config.monteCarlo.enabled) {
+    const mc = runMonteCarloBands(config);
+    report.monteCarlo = {
+      runs: mc.runs,
+      quantiles: mc.quantiles,
+      bands: computeBands(mc.yearlyBuckets, config.monteCarlo.percentiles),
+      finals: mc.finals,
+      retirement: computeRetirementStats(config, mc),
+      goal: computeGoalStats(config, mc),
+      tailRisk: computeTailRisk(mc.finals, config.monteCarlo.varLevels, metrics.invested)
+    };
+  }
+
+  return report;
+}
+
+function csvCell(x) {
+  const text = String(x ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+export const CSV_TABLES = ["bands", "path", "metrics", "finals", "stress", "sensitivity"];
+
+// One table per file so scripts can load it directly
+export function reportToCsv(report, table) {
+  const mc = report.monteCarlo;
+
+  if (table === "metrics") {
+    return csv(["metric", "value"], Object.entries(report.metrics));
+  }
+
+  if (table === "finals") {
+    if (!mc) throw new Error("The finals table needs --monteCarlo.enabled true.");
+    return csv(["rank", "final"], mc.finals.map((v, i) => [i + 1, v]));
+  }
+
+  if (table === "stress") {
+    if (!report.stress) throw new Error("The stress table needs --stress.enabled true.");
+    return csv(
+      ["scenario", "years", "finalValue", "finalChange", "maxDrawdown", "drawdownChange", "depletedYear"],
+      report.stress.scenarios.map((s) => [s.id, s.years, s.finalValue, s.finalChange, s.maxDrawdown, s.drawdownChange, s.depletedYear])
+    );
+  }
+
+  if (table === "sensitivity") {
+    if (!report.sensitivity) throw new Error("The sensitivity table needs --sensitivity.");
+    const { base, inputs } = report.sensitivity;
+    return csv(
+      ["input", "value", "low", "high", "lowMedian", "highMedian", "lowSuccess", "highSuccess"],
+      [
+        ["base", "", "", "", base.median, base.median, base.success, base.success],
+        ...inputs.map((r) => [r.id, r.value, r.low.value, r.high.value, r.low.median, r.high.median, r.low.success, r.high.success])
+      ]
+    );
+  }
+
+  const years = report.path.value.map((_, i) => i + 1);
+  if (table === "path") {
+    const { value, contributions, withdrawals, returns } = report.path;
+    return csv(
+      ["year", "value", "contributions", "withdrawals", "return"],
+      years.map((y, i) => [y, value[i], contributions[i], withdrawals[i], returns[i]])
+    );
+  }
+
+  if (!mc) throw new Error("The bands table needs --monteCarlo.enabled true.");
+  const keys = mc.bands.percentiles.map(bandKey);
+  return csv(
+    ["year", "path", ...keys],
+    years.map((y, i) => [y, report.path.value[i], ...keys.map((k) => mc.bands[k][i])])
+  );
+}
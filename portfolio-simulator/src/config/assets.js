@@ -0,0 +1,84 @@
+// Asset classes the simulator knows how to model. config.assets lists the ids
+// in play; that order is the order of the correlation matrix rows/cols, the
+// custom glide-path columns and the allocation cards.
+//   class: "growth" | "defensive" (target-date glide paths de-risk growth -> defensive)
+export const ASSET_CATALOG = {
+  stocks:     { label: "Stocks",               note: "Growth & volatility",       icon: "📈", class: "growth",    color: "rgba(43,76,126,.75)",  model: { mean: 0.08,  vol: 0.15, dist: "normal" } },
+  bonds:      { label: "Bonds",                note: "Stability buffer",          icon: "🧾", class: "defensive", color: "rgba(107,79,42,.65)",  model: { mean: 0.04,  vol: 0.06, dist: "normal" } },
+  cash:       { label: "Cash",                 note: "Safety & flexibility",      icon: "🏦", class: "defensive", color: "rgba(111,106,95,.55)", model: { mean: 0.02,  vol: 0.01, dist: "normal" } },
+  intlStocks: { label: "International Equity", note: "Growth outside the US",     icon: "🌍", class: "growth",    color: "rgba(62,120,110,.70)", model: { mean: 0.075, vol: 0.17, dist: "normal" } },
+  reits:      { label: "REITs",                note: "Real estate income",        icon: "🏢", class: "growth",    color: "rgba(150,90,60,.65)",  model: { mean: 0.07,  vol: 0.19, dist: "normal" } },
+  tips:       { label: "TIPS",                 note: "Inflation-protected bonds", icon: "🛡️", class: "defensive", color: "rgba(120,100,150,.65)", model: { mean: 0.035, vol: 0.055, dist: "normal" } },
+  gold:       { label: "Gold",                 note: "Crisis hedge",              icon: "🪙", class: "defensive", color: "rgba(190,150,40,.70)", model: { mean: 0.04,  vol: 0.16, dist: "normal" } },
+  crypto:     { label: "Crypto",               note: "Speculative, extreme swings", icon: "₿", class: "growth",   color: "rgba(176,0,32,.55)",   model: { mean: 0.15,  vol: 0.70, dist: "t" } }
+};
+
+// Pairwise correlations used when an asset is added ("a|b", either order); unlisted pairs are 0
+const CATALOG_CORRELATIONS = {
+  "stocks|bonds": 0.1,
+  "bonds|cash": 0.2,
+  "stocks|intlStocks": 0.75,
+  "bonds|intlStocks": 0.05,
+  "stocks|reits": 0.6,
+  "bonds|reits": 0.2,
+  "intlStocks|reits": 0.5,
+  "stocks|tips": 0.05,
+  "bonds|tips": 0.7,
+  "cash|tips": 0.2,
+  "intlStocks|tips": 0.05,
+  "reits|tips": 0.15,
+  "bonds|gold": 0.1,
+  "intlStocks|gold": 0.1,
+  "reits|gold": 0.05,
+  "tips|gold": 0.3,
+  "stocks|crypto": 0.3,
+  "intlStocks|crypto": 0.25,
+  "reits|crypto": 0.2,
+  "gold|crypto": 0.1
+};
+
+export function assetIds(config) {
+  return config.assets;
+}
+
+export function assetInfo(id) {
+  return ASSET_CATALOG[id] ?? { label: id, note: "", icon: "•", class: "growth", color: "rgba(31,30,28,.35)" };
+}
+
+export function catalogCorrelation(a, b) {
+  if (a === b) return 1;
+  return CATALOG_CORRELATIONS[`${a}|${b}`] ?? CATALOG_CORRELATIONS[`${b}|${a}`] ?? 0;
+}
+
+// New config with `id` appended at 0% weight, its catalog model and a correlation row/col
+export function addAsset(config, id) {
+  if (config.assets.includes(id) || !ASSET_CATALOG[id]) return config;
+
+  const assets = [...config.assets, id];
+  const correlations = config.model.correlations.map((row, i) => [...row, catalogCorrelation(config.assets[i], id)]);
+  correlations.push(assets.map((k) => catalogCorrelation(k, id)));
+
+  return {
+    ...config,
+    assets,
+    allocation: { ...config.allocation, [id]: 0 },
+    model: { ...config.model, [id]: { ...ASSET_CATALOG[id].model }, correlations }
+  };
+}
+
+// New config without `id`; its weight is spread over the rest pro-rata
+export function removeAsset(config, id) {
+  const idx = config.assets.indexOf(id);
+  if (idx < 0 || config.assets.length === 1) return config;
+
+  const assets = config.assets.filter((k) => k !== id);
+  const allocation = {};
+  const rest = assets.reduce((s, k) => s + config.allocation[k], 0);
+  for (const k of assets) allocation[k] = rest > 0 ? config.allocation[k] / rest : 1 / assets.length;
+
+  const model = { ...config.model };
+  delete model[id];
+  model.correlations = config.model.correlations.filter((_, i) => i !== idx).map((row) => row.filter((_, j) => j !== idx));
+
+  return { ...config, assets, allocation, model };
+}
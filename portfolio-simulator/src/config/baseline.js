@@ -0,0 +1,107 @@
+// DEFAULTS as of share link v2 / library schema 2, frozen. Links and saved
+// scenarios store a diff against this snapshot, so changing a default later
+// can't change what they mean. Never edit it: when a default changes, add a new
+// snapshot and bump SHARE_VERSION and LIBRARY_SCHEMA. v1 links and schema 1
+// libraries were diffed against defaults that only lacked some of these keys,
+// so they restore against it too.
+export const BASELINE_V2 = {
+  horizonYears: 30,
+  startBalance: 10000,
+  monthlyContribution: 500,
+
+  contributions: { escalation: 0, lumpSums: [], pauses: [] },
+
+  assets: ["stocks", "bonds", "cash"],
+
+  allocation: { stocks: 0.70, bonds: 0.20, cash: 0.10 },
+
+  glidePath: {
+    type: "none",
+    startYear: 1,
+    endYear: 30,
+    end: { stocks: 0.30, bonds: 0.60, cash: 0.10 },
+    targetYear: 30,
+    table: []
+  },
+
+  rebalance: { enabled: false, frequency: "annual", band: 0.05 },
+
+  inflation: { enabled: false, rate: 0.025, stochastic: false, vol: 0.015, real: false },
+
+  fees: { enabled: false, annual: 0.002 },
+
+  tax: {
+    enabled: false,
+    split: { taxable: 1, traditional: 0, roth: 0 },
+    dividendYield: 0.02,
+    dividendRate: 0.15,
+    capitalGainsRate: 0.15,
+    incomeRate: 0.22
+  },
+
+  withdrawal: {
+    enabled: false,
+    startYear: 20,
+    strategy: "fixed",
+    rate: 0.04,
+    guardrail: 0.20,
+    adjustment: 0.10,
+    vpwReturn: 0.04,
+    floor: 0.90,
+    ceiling: 1.20
+  },
+
+  goal: { enabled: false, target: 1000000, year: 25 },
+
+  stress: { enabled: false, scenario: "gfc2008", startYear: 1 },
+
+  model: {
+    generator: "normal",
+
+    stocks: { mean: 0.08, vol: 0.15, dist: "normal" },
+    bonds:  { mean: 0.04, vol: 0.06, dist: "normal" },
+    cash:   { mean: 0.02, vol: 0.01, dist: "normal" },
+
+    tails: { df: 5, skew: 0.85 },
+
+    correlations: [
+      [1.0, 0.1, 0.0],
+      [0.1, 1.0, 0.2],
+      [0.0, 0.2, 1.0]
+    ],
+
+    regimes: {
+      start: "bull",
+      states: {
+        bull:   { stocks: { mean: 0.13, vol: 0.12 },  bonds: { mean: 0.035, vol: 0.05 }, cash: { mean: 0.02,  vol: 0.01 } },
+        bear:   { stocks: { mean: -0.04, vol: 0.20 }, bonds: { mean: 0.05,  vol: 0.07 }, cash: { mean: 0.02,  vol: 0.01 } },
+        crisis: { stocks: { mean: -0.25, vol: 0.30 }, bonds: { mean: 0.06,  vol: 0.09 }, cash: { mean: 0.015, vol: 0.01 } }
+      },
+      transitions: {
+        bull:   { bull: 0.85, bear: 0.12, crisis: 0.03 },
+        bear:   { bull: 0.45, bear: 0.45, crisis: 0.10 },
+        crisis: { bull: 0.30, bear: 0.40, crisis: 0.30 }
+      }
+    },
+
+    bootstrap: { blockSize: 1 }
+  },
+
+  monteCarlo: {
+    enabled: false,
+    runs: 300,
+    seed: 12345,
+    quantiles: "auto",
+    varLevels: [0.95, 0.99],
+    percentiles: [0.1, 0.5, 0.9]
+  },
+
+  sensitivity: {
+    runs: 500,
+    steps: { mean: 0.01, vol: 0.02, contribution: 0.25, fees: 0.0025, inflation: 0.01, allocation: 0.1 }
+  },
+
+  timestep: "year",
+
+  riskFreeRate: 0.02
+};
@@ -3,23 +3,134 @@ export const DEFAULTS = {
   startBalance: 10000,
   monthlyContribution: 500,
 
+  // contribution schedule: the monthly amount grows by `escalation` each year;
+  // lumpSums: [{ year, amount }] at the start of a year (negative = withdrawal);
+  // pauses: [{ from, to }] years (inclusive) with no regular contributions
+  contributions: { escalation: 0, lumpSums: [], pauses: [] },
+
+  // asset ids (see config/assets.js); order = correlation matrix rows/cols
+  assets: ["stocks", "bonds", "cash"],
+
   allocation: { stocks: 0.70, bonds: 0.20, cash: 0.10 },
 
-  rebalance: { enabled: false, frequency: "annual" },
+  // time-varying target mix; type: "none" | "linear" | "targetDate" | "custom"
+  glidePath: {
+    type: "none",
+    startYear: 1,                                    // linear: from allocation at startYear...
+    endYear: 30,                                     // ...to `end` at endYear
+    end: { stocks: 0.30, bonds: 0.60, cash: 0.10 },
+    targetYear: 30,                                  // targetDate: the retirement/target year
+    table: []                                        // custom: [{ year, stocks, bonds, cash }] by year
+  },
 
-  inflation: { enabled: false, rate: 0.025 },
+  // frequency: "annual" | "quarterly" | "threshold" (band = max drift from target before trading)
+  rebalance: { enabled: false, frequency: "annual", band: 0.05 },
+
+  // rate = fixed annual inflation; stochastic draws N(rate, vol) each year instead
+  // real = report values in today's dollars (deflated by the simulated price index)
+  inflation: { enabled: false, rate: 0.025, stochastic: false, vol: 0.015, real: false },
 
   fees: { enabled: false, annual: 0.002 },
 
+  // account taxes: split = share of the starting balance and of every contribution per account.
+  // Taxable accounts pay dividendRate on dividendYield each year and capitalGainsRate on gains
+  // realized by rebalancing or withdrawals; traditional withdrawals pay incomeRate; Roth is tax-free
+  tax: {
+    enabled: false,
+    split: { taxable: 1, traditional: 0, roth: 0 },
+    dividendYield: 0.02,
+    dividendRate: 0.15,
+    capitalGainsRate: 0.15,
+    incomeRate: 0.22
+  },
+
+  // decumulation: from startYear on, contributions stop and the strategy sets yearly spending
+  // strategy: "fixed" | "guardrails" | "vpw" | "floorCeiling"
+  withdrawal: {
+    enabled: false,
+    startYear: 20,
+    strategy: "fixed",
+    rate: 0.04,        // initial withdrawal rate (all strategies except vpw)
+    guardrail: 0.20,   // guardrails: +/- band around the initial rate
+    adjustment: 0.10,  // guardrails: spending cut/raise when a band is crossed
+    vpwReturn: 0.04,   // vpw: assumed return used to amortize the balance
+    floor: 0.90,       // floorCeiling: spending bounds as a multiple of initial real spending
+    ceiling: 1.20
+  },
+
+  // Monte Carlo goal: probability the balance is at least `target` in `year` (reporting dollars)
+  goal: { enabled: false, target: 1000000, year: 25 },
+
+  // stress test: replay a historical crisis (see STRESS_SCENARIOS) starting in `startYear`;
+  // sequences running past the horizon are cut off
+  stress: { enabled: false, scenario: "gfc2008", startYear: 1 },
+
   model: {
-    // simple MVP model now; upgrade later to correlations/regimes
-    stocks: { mean: 0.08, vol: 0.15 },
-    bonds:  { mean: 0.04, vol: 0.06 },
-    cash:   { mean: 0.02, vol: 0.01 }
+    // return generator: "normal" (i.i.d. draws), "regime" (Markov bull/bear/crisis)
+    // or "bootstrap" (resampled historical years)
+    generator: "normal",
+
+    // annual mean/vol per asset; dist: "normal" | "lognormal" | "t" | "skewt"
+    stocks: { mean: 0.08, vol: 0.15, dist: "normal" },
+    bonds:  { mean: 0.04, vol: 0.06, dist: "normal" },
+    cash:   { mean: 0.02, vol: 0.01, dist: "normal" },
+
+    // fat-tail shape for "t"/"skewt" assets without their own df/skew
+    // (df > 2; skew < 1 = heavier left tail)
+    tails: { df: 5, skew: 0.85 },
+
+    // correlation matrix, rows/cols in `assets` order
+    correlations: [
+      [1.0, 0.1, 0.0],
+      [0.1, 1.0, 0.2],
+      [0.0, 0.2, 1.0]
+    ],
+
+    // regime model: per-state mean/vol per asset + annual transition probabilities
+    // (assets missing from a state follow their class anchor, see regimeParams in engine/returns.js)
+    regimes: {
+      start: "bull",
+      states: {
+        bull:   { stocks: { mean: 0.13, vol: 0.12 },  bonds: { mean: 0.035, vol: 0.05 }, cash: { mean: 0.02,  vol: 0.01 } },
+        bear:   { stocks: { mean: -0.04, vol: 0.20 }, bonds: { mean: 0.05,  vol: 0.07 }, cash: { mean: 0.02,  vol: 0.01 } },
+        crisis: { stocks: { mean: -0.25, vol: 0.30 }, bonds: { mean: 0.06,  vol: 0.09 }, cash: { mean: 0.015, vol: 0.01 } }
+      },
+      // rows: from-state, cols: to-state; each row sums to 1
+      transitions: {
+        bull:   { bull: 0.85, bear: 0.12, crisis: 0.03 },
+        bear:   { bull: 0.45, bear: 0.45, crisis: 0.10 },
+        crisis: { bull: 0.30, bear: 0.40, crisis: 0.30 }
+      }
+    },
+
+    // historical bootstrap: blockSize 1 = simple, >1 = consecutive-year blocks
+    bootstrap: { blockSize: 1 }
+  },
+
+  // quantiles: "exact" keeps every path value, "streaming" uses fixed-memory t-digests,
+  // "auto" switches to streaming above AUTO_EXACT_MAX_RUNS
+  // varLevels: confidence levels for value-at-risk / CVaR of final values
+  // percentiles: fan chart bands (the median is always drawn)
+  monteCarlo: {
+    enabled: false,
+    runs: 300,
+    seed: 12345,
+    quantiles: "auto",
+    varLevels: [0.95, 0.99],
+    percentiles: [0.1, 0.5, 0.9]
+  },
+
+  // sensitivity analysis: each input moved down and up by its step and rerun on the same seeds.
+  // mean, vol, fees, inflation and allocation (growth-asset share) move by percentage points;
+  // contribution by a share of the monthly amount
+  sensitivity: {
+    runs: 500,
+    steps: { mean: 0.01, vol: 0.02, contribution: 0.25, fees: 0.0025, inflation: 0.01, allocation: 0.1 }
   },
 
-  monteCarlo: { enabled: false, runs: 300, seed: 12345 },
+  // simulation resolution: "year" is fastest; "month" steps contributions + returns monthly
+  timestep: "year",
 
-  // simulation resolution: "year" is fastest; "month" later
-  timestep: "year"
+  // annual nominal risk-free rate for Sharpe and Sortino (deflated when reporting real returns)
+  riskFreeRate: 0.02
 };
@@ -0,0 +1,140 @@
+import { configDiff, restoreConfig } from "./share.js";
+import { BASELINE_V2 } from "./baseline.js";
+
+// Named scenarios persisted in localStorage. Configs are stored as diffs
+// against the frozen BASELINE_V2 (like share links), so changing a default
+// doesn't change saved scenarios and new settings pick up their defaults.
+// Schema 1 stored diffs against the live DEFAULTS; they restore against the
+// same baseline (see config/baseline.js).
+export const LIBRARY_KEY = "portfolioSimulator.library";
+export const LIBRARY_SCHEMA = 2;
+const READABLE_SCHEMAS = [1, LIBRARY_SCHEMA];
+
+export function emptyLibrary() {
+  return { scenarios: [], defaultId: null };
+}
+
+const isObject = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+
+// Stored entries come from localStorage and may be damaged or hand-edited
+const isScenario = (s) => isObject(s) && typeof s.id === "string" && typeof s.name === "string" && isObject(s.config);
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+export function loadLibrary(storage = globalThis.localStorage) {
+  try {
+    const data = JSON.parse(storage?.getItem(LIBRARY_KEY) ?? "null");
+    if (!READABLE_SCHEMAS.includes(data?.schemaVersion) || !Array.isArray(data.scenarios)) return emptyLibrary();
+    return { scenarios: data.scenarios.filter(isScenario), defaultId: data.defaultId ?? null };
+  } catch {
+    return emptyLibrary();
+  }
+}
+
+export function saveLibrary(library, storage = globalThis.localStorage) {
+  storage?.setItem(LIBRARY_KEY, JSON.stringify({ schemaVersion: LIBRARY_SCHEMA, ...library }));
+}
+
+// { config, errors } for a stored scenario
+export function scenarioConfig(scenario) {
+  if (!isObject(scenario?.config)) return { config: null, errors: ["This scenario has no saved settings."] };
+  return restoreConfig(scenario.config, BASELINE_V2);
+}
+
+// Saving under an existing name replaces that scenario's config
+export function saveScenario(library, name, config) {
+  const diff = configDiff(config, BASELINE_V2);
+  const existing = library.scenarios.find((s) => s.name === name);
+  if (existing) {
+    return {
+      ...library,
+      scenarios: library.scenarios.map((s) => (s === existing ? { ...s, config: diff, updatedAt: Date.now() } : s))
+    };
+  }
+  return { ...library, scenarios: [...library.scenarios, { id: newId(), name, config: diff, updatedAt: Date.now() }] };
+}
+
+function uniqueName(library, name) {
+  const names = new Set(library.scenarios.map((s) => s.name));
+  if (!names.has(name)) return name;
+  let n = 2;
+  while (names.has(`${name} (${n})`)) n++;
+  return `${name} (${n})`;
+}
+
+export function duplicateScenario(library, id) {
+  const source = library.scenarios.find((s) => s.id === id);
+  if (!source) return library;
+  const copy = { ...source, id: newId(), name: uniqueName(library, `${source.name} copy`), updatedAt: Date.now() };
+  return { ...library, scenarios: [...library.scenarios, copy] };
+}
+
+export function renameScenario(library, id, name) {
+  return { ...library, scenarios: library.scenarios.map((s) => (s.id === id ? { ...s, name } : s)) };
+}
+
+export function deleteScenario(library, id) {
+  return {
+    ...library,
+    scenarios: library.scenarios.filter((s) => s.id !== id),
+    defaultId: library.defaultId === id ? null : library.defaultId
+  };
+}
+
+// Toggles: setting the current default again clears it
+export function setDefaultScenario(library, id) {
+  return { ...library, defaultId: library.defaultId === id ? null : id };
+}
+
+export function defaultScenario(library) {
+  return library.scenarios.find((s) => s.id === library.defaultId) ?? null;
+}
+
+export function exportLibrary(library) {
+  return JSON.stringify(
+    {
+      schemaVersion: LIBRARY_SCHEMA,
+      exportedAt: new Date().toISOString(),
+      scenarios: library.scenarios.map(({ name, config }) => ({ name, config }))
+    },
+    null,
+    2
+  );
+}
+
+// Adds every valid scenario from an export file; returns { library, imported, errors }
+export function importLibrary(library, text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { library, imported: 0, errors: ["The file is not valid JSON."] };
+  }
+  if (!READABLE_SCHEMAS.includes(data?.schemaVersion) || !Array.isArray(data.scenarios)) {
+    return { library, imported: 0, errors: [`Expected a scenario export with schemaVersion ${READABLE_SCHEMAS.join(" or ")}.`] };
+  }
+
+  let next = library;
+  let imported = 0;
+  const errors = [];
+  data.scenarios.forEach((s, i) => {
+    if (!isObject(s) || !isObject(s.config)) {
+      errors.push(`Entry ${i + 1}: not a saved scenario with a config.`);
+      return;
+    }
+    const name = typeof s.name === "string" && s.name.trim() ? s.name.trim() : "Imported scenario";
+    const { config, errors: invalid } = restoreConfig(s.config, BASELINE_V2);
+    if (!config) {
+      errors.push(`${name}: ${invalid[0]}`);
+      return;
+    }
+    next = {
+      ...next,
+      scenarios: [...next.scenarios, { id: newId(), name: uniqueName(next, name), config: configDiff(config, BASELINE_V2), updatedAt: Date.now() }]
+    };
+    imported++;
+  });
+  return { library: next, imported, errors };
+}
@@ -1,5 +1,13 @@
+import { normalizeAllocation } from "../core/validation.js";
+
+// Weights by asset id; ids a preset doesn't name get 0%
 export const PRESETS = {
   aggressive: { stocks: 0.90, bonds: 0.10, cash: 0.00 },
   balanced:   { stocks: 0.70, bonds: 0.20, cash: 0.10 },
   conservative:{stocks: 0.40, bonds: 0.40, cash: 0.20 }
 };
+
+export function presetAllocation(name, ids) {
+  const preset = PRESETS[name] ?? {};
+  return normalizeAllocation(Object.fromEntries(ids.map((k) => [k, preset[k] ?? 0])), ids);
+}
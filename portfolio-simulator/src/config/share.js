@@ -0,0 +1,101 @@
+import { DEFAULTS } from "./defaults.js";
+import { BASELINE_V2 } from "./baseline.js";
+import { validateInputs } from "../core/validation.js";
+
+// Bump when the config shape changes in a way old links can't express;
+// links from other versions are rejected rather than half-applied.
+// v1 links carried a diff against the live DEFAULTS, so a changed default would
+// have silently changed them; v2 diffs against the frozen BASELINE_V2, which v1
+// links also restore against (see config/baseline.js).
+export const SHARE_VERSION = 2;
+const READABLE_VERSIONS = [1, SHARE_VERSION];
+
+const isObject = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+
+// Only what differs from `base`, key by key. Arrays are compared whole; a key
+// missing from `config` (e.g. a removed asset) is recorded as null.
+export function configDiff(config, base = DEFAULTS) {
+  const diff = {};
+  for (const [k, v] of Object.entries(config)) {
+    if (isObject(v) && isObject(base[k])) {
+      const sub = configDiff(v, base[k]);
+      if (Object.keys(sub).length) diff[k] = sub;
+    } else if (JSON.stringify(v) !== JSON.stringify(base[k])) {
+      diff[k] = v;
+    }
+  }
+  for (const k of Object.keys(base)) if (!(k in config)) diff[k] = null;
+  return diff;
+}
+
+// Every value of `config`, plus a null for each key of `base` it lacks (e.g. a
+// removed asset), so applyDiff(x, ...) rebuilds `config` plus whatever x has beyond base
+function fullDiff(config, base) {
+  const out = {};
+  for (const [k, v] of Object.entries(config)) out[k] = isObject(v) && isObject(base[k]) ? fullDiff(v, base[k]) : v;
+  for (const k of Object.keys(base)) if (!(k in config)) out[k] = null;
+  return out;
+}
+
+export function applyDiff(base, diff) {
+  const out = structuredClone(base);
+  for (const [k, v] of Object.entries(diff)) {
+    if (k === "__proto__") continue; // JSON can carry it as a key; assigning it would swap the prototype
+    if (v === null) delete out[k];
+    else out[k] = isObject(v) && isObject(base[k]) ? applyDiff(base[k], v) : structuredClone(v);
+  }
+  return out;
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+// "v2=<base64url JSON of the diff against BASELINE_V2>"
+export function encodeConfig(config) {
+  return `v${SHARE_VERSION}=${toBase64Url(JSON.stringify(configDiff(config, BASELINE_V2)))}`;
+}
+
+// { config, errors }: config is null unless the link is readable and valid
+export function decodeConfig(hash) {
+  const m = hash.replace(/^#/, "").match(/^v(\d+)=([A-Za-z0-9_-]*)$/);
+  if (!m) return { config: null, errors: ["This link does not contain a scenario."] };
+  if (!READABLE_VERSIONS.includes(Number(m[1]))) {
+    return { config: null, errors: [`This link was made by a different version of the simulator (v${m[1]}).`] };
+  }
+
+  let diff;
+  try {
+    diff = JSON.parse(fromBase64Url(m[2]));
+  } catch {
+    return { config: null, errors: ["This link is damaged and could not be read."] };
+  }
+  if (!isObject(diff)) return { config: null, errors: ["This link is damaged and could not be read."] };
+
+  return restoreConfig(diff, BASELINE_V2);
+}
+
+// Full, validated config from a stored diff against `baseline` (links and the
+// scenario library). Settings added to DEFAULTS since the baseline keep their defaults.
+export function restoreConfig(diff, baseline = DEFAULTS) {
+  const settings = fullDiff(applyDiff(baseline, diff), baseline);
+  // only settings the simulator knows about
+  const known = Object.fromEntries(Object.entries(settings).filter(([k]) => Object.hasOwn(DEFAULTS, k)));
+  const config = applyDiff(DEFAULTS, known);
+
+  let errors;
+  try {
+    errors = validateInputs(config);
+  } catch {
+    errors = ["This scenario has settings the simulator can't load."];
+  }
+  return errors.length ? { config: null, errors } : { config, errors };
+}
@@ -27,3 +27,40 @@ export function percentile(sortedArr, p) {
   const w = idx - lo;
   return sortedArr[lo] * (1 - w) + sortedArr[hi] * w;
 }
+
+export function cholesky(matrix) {
+  // lower-triangular L with L * L^T = matrix; null if not positive semi-definite
+  const n = matrix.length;
+  const L = Array.from({ length: n }, () => Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = matrix[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+
+      if (i === j) {
+        if (s < -1e-10) return null;
+        L[i][i] = Math.sqrt(Math.max(0, s));
+      } else {
+        L[i][j] = L[j][j] > 0 ? s / L[j][j] : 0;
+      }
+    }
+  }
+  return L;
+}
+
+export function logGamma(x) {
+  // Lanczos approximation (g = 7, n = 9)
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+
+  x -= 1;
+  let a = c[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
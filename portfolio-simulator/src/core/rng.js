@@ -17,3 +17,27 @@ export function randn(rand) {
   while (v === 0) v = rand();
   return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
 }
+
+// Marsaglia–Tsang gamma(shape, 1); shape < 1 uses the boost u^(1/shape)
+export function randGamma(rand, shape) {
+  if (shape < 1) {
+    let u = 0;
+    while (u === 0) u = rand();
+    return randGamma(rand, shape + 1) * Math.pow(u, 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      x = randn(rand);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+
+    const u = rand();
+    if (u < 1 - 0.0331 * x ** 4) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
@@ -0,0 +1,90 @@
+// Merging t-digest: streaming quantile sketch with fixed memory per stream.
+// Digests are plain objects so they survive postMessage and can be merged
+// across workers. Small streams keep every point, so quantiles stay exact.
+
+const BUFFER_FACTOR = 5; // buffered points per unit of compression before a merge pass
+
+export function createDigest(compression = 100) {
+  return { compression, centroids: [], buffer: [], count: 0, min: Infinity, max: -Infinity };
+}
+
+export function digestAdd(digest, x, weight = 1) {
+  digest.buffer.push([x, weight]);
+  digest.count += weight;
+  if (x < digest.min) digest.min = x;
+  if (x > digest.max) digest.max = x;
+  if (digest.buffer.length >= digest.compression * BUFFER_FACTOR) compress(digest);
+}
+
+// Fold buffered points into centroids; centroid size is bounded by
+// 4 * n * q(1-q) / compression, so the tails stay (near) singletons.
+function compress(digest) {
+  if (!digest.buffer.length) return;
+
+  const points = digest.centroids.concat(digest.buffer).sort((a, b) => a[0] - b[0]);
+  const n = digest.count;
+  const out = [];
+  let [mean, weight] = points[0];
+  let before = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const [m, w] = points[i];
+    const q0 = before / n;
+    const q2 = (before + weight + w) / n;
+    const limit = (4 * n * Math.min(q0 * (1 - q0), q2 * (1 - q2))) / digest.compression;
+
+    if (weight + w <= limit) {
+      mean += ((m - mean) * w) / (weight + w);
+      weight += w;
+    } else {
+      out.push([mean, weight]);
+      before += weight;
+      mean = m;
+      weight = w;
+    }
+  }
+  out.push([mean, weight]);
+
+  digest.centroids = out;
+  digest.buffer = [];
+}
+
+export function mergeDigests(digests) {
+  const merged = createDigest(digests[0]?.compression);
+  for (const d of digests) {
+    merged.buffer.push(...d.centroids, ...d.buffer);
+    merged.count += d.count;
+    merged.min = Math.min(merged.min, d.min);
+    merged.max = Math.max(merged.max, d.max);
+  }
+  compress(merged);
+  return merged;
+}
+
+// Same convention as percentile(): rank (n - 1) * p, linear in between.
+// Each centroid sits at the rank of its middle point.
+export function digestQuantile(digest, p) {
+  compress(digest);
+  const c = digest.centroids;
+  if (!c.length) return 0;
+
+  const rank = (digest.count - 1) * p;
+  let prevRank = 0;
+  let prevValue = digest.min;
+  let before = 0;
+
+  for (const [mean, weight] of c) {
+    const center = before + (weight - 1) / 2;
+    if (rank <= center) {
+      if (center === prevRank) return mean;
+      return prevValue + ((mean - prevValue) * (rank - prevRank)) / (center - prevRank);
+    }
+    prevRank = center;
+    prevValue = mean;
+    before += weight;
+  }
+
+  const last = digest.count - 1;
+  if (last === prevRank) return digest.max;
+  return prevValue + ((digest.max - prevValue) * (rank - prevRank)) / (last - prevRank);
+}
@@ -1,26 +1,286 @@
-import { clamp } from "./math.js";
+import { clamp, cholesky } from "./math.js";
+import { assetIds } from "../config/assets.js";
+import { HISTORICAL_RETURNS } from "../data/historical-returns.js";
+import { STRESS_SCENARIOS } from "../data/stress-scenarios.js";
 
-export function normalizeAllocation(a) {
-  // a: {stocks,bonds,cash} in decimals (0..1)
-  const s = clamp(a.stocks ?? 0, 0, 1);
-  const b = clamp(a.bonds ?? 0, 0, 1);
-  const c = clamp(a.cash ?? 0, 0, 1);
-  const total = s + b + c;
-  if (total === 0) return { stocks: 1, bonds: 0, cash: 0 };
-  return { stocks: s / total, bonds: b / total, cash: c / total };
+const GENERATORS = ["normal", "regime", "bootstrap"];
+const QUANTILE_MODES = ["auto", "exact", "streaming"];
+const DISTRIBUTIONS = ["normal", "lognormal", "t", "skewt"];
+const TIMESTEPS = ["year", "month"];
+const REBALANCE_FREQUENCIES = ["annual", "quarterly", "threshold"];
+
+// Real numbers only: numeric strings from links, files or flags would
+// otherwise pass the range checks and concatenate in the engine
+const isNumber = (x) => typeof x === "number" && Number.isFinite(x);
+
+export function normalizeAllocation(a, ids = Object.keys(a)) {
+  // a: { [assetId]: weight } in decimals (0..1)
+  const w = ids.map((k) => clamp(a[k] || 0, 0, 1));
+  const total = w.reduce((s, x) => s + x, 0);
+  const out = {};
+  ids.forEach((k, i) => {
+    out[k] = total === 0 ? (i === 0 ? 1 : 0) : w[i] / total;
+  });
+  return out;
 }
 
 export function validateInputs(cfg) {
   const errors = [];
 
-  if (!(cfg.horizonYears >= 1 && cfg.horizonYears <= 50)) errors.push("Years must be between 1 and 50.");
-  if (!(cfg.startBalance >= 0)) errors.push("Starting balance must be 0 or more.");
-  if (!(cfg.monthlyContribution >= 0)) errors.push("Monthly contribution must be 0 or more.");
+  if (!(Number.isInteger(cfg.horizonYears) && cfg.horizonYears >= 1 && cfg.horizonYears <= 50)) errors.push("Years must be between 1 and 50.");
+  if (!(isNumber(cfg.startBalance) && cfg.startBalance >= 0)) errors.push("Starting balance must be 0 or more.");
+  if (!(isNumber(cfg.monthlyContribution) && cfg.monthlyContribution >= 0)) errors.push("Monthly contribution must be 0 or more.");
+  if (!(isNumber(cfg.riskFreeRate) && cfg.riskFreeRate > -0.05 && cfg.riskFreeRate < 0.2)) errors.push("Risk-free rate must be between -5% and 20%.");
+
+  if (cfg.fees?.enabled && !(isNumber(cfg.fees.annual) && cfg.fees.annual >= 0 && cfg.fees.annual < 0.1)) {
+    errors.push("Fees must be between 0% and 10% a year.");
+  }
+
+  if (!TIMESTEPS.includes(cfg.timestep)) errors.push("Unknown simulation resolution.");
+  if (cfg.rebalance && !REBALANCE_FREQUENCIES.includes(cfg.rebalance.frequency)) errors.push("Unknown rebalancing policy.");
+
+  const band = cfg.rebalance?.band;
+  if (cfg.rebalance?.enabled && cfg.rebalance.frequency === "threshold" && !(isNumber(band) && band > 0 && band < 1)) {
+    errors.push("Rebalancing band must be between 0% and 100%.");
+  }
+
+  if (cfg.inflation?.enabled) {
+    const { rate, vol } = cfg.inflation;
+    if (!(isNumber(rate) && rate > -0.1 && rate < 0.25)) errors.push("Inflation must be between -10% and 25%.");
+    if (cfg.inflation.stochastic && !(isNumber(vol) && vol >= 0)) errors.push("Inflation volatility must be 0 or more.");
+  }
+
+  if (cfg.monteCarlo) {
+    const mc = cfg.monteCarlo;
+    if (!(Number.isInteger(mc.runs) && mc.runs >= 1 && mc.runs <= 100000)) errors.push("Monte Carlo runs must be between 1 and 100,000.");
+    if (!(Number.isInteger(mc.seed) && mc.seed >= 0)) errors.push("Seed must be a whole number of 0 or more.");
+    if (!QUANTILE_MODES.includes(mc.quantiles ?? "auto")) errors.push("Unknown percentile mode.");
+    const levels = mc.varLevels ?? [];
+    if (!Array.isArray(levels) || !levels.every((l) => isNumber(l) && l >= 0.5 && l <= 0.999)) {
+      errors.push("VaR confidence levels must be between 50% and 99.9%.");
+    }
+    const pcts = mc.percentiles ?? [];
+    if (!Array.isArray(pcts) || pcts.length > 9 || !pcts.every((p) => isNumber(p) && p >= 0.01 && p <= 0.99)) {
+      errors.push("Choose up to 9 percentiles between 1 and 99.");
+    }
+  }
+
+  errors.push(...validateContributions(cfg));
+  errors.push(...validateWithdrawal(cfg));
+  errors.push(...validateGoal(cfg));
+  errors.push(...validateStress(cfg));
+  errors.push(...validateTax(cfg));
+  errors.push(...validateSensitivity(cfg));
+  errors.push(...validateGlidePath(cfg));
+
+  const ids = assetIds(cfg);
+  if (!Array.isArray(ids) || !ids.length) errors.push("Add at least one asset class.");
+  else if (new Set(ids).size !== ids.length) errors.push("Each asset class can only be listed once.");
+  for (const k of ids) {
+    const m = cfg.model?.[k];
+    if (!m || !isNumber(m.mean) || !(isNumber(m.vol) && m.vol >= 0)) errors.push(`Return model for ${k} needs a mean and a volatility of 0 or more.`);
+  }
 
   const a = cfg.allocation;
-  const total = (a.stocks + a.bonds + a.cash);
+  const total = ids.reduce((s, k) => s + (isNumber(a?.[k]) && a[k] >= 0 ? a[k] : NaN), 0);
   // allow tiny float error
-  if (Math.abs(total - 1) > 1e-6) errors.push("Allocation must equal 100%.");
+  if (!(Math.abs(total - 1) <= 1e-6)) errors.push("Allocation must equal 100%.");
+
+  if (cfg.model?.correlations) errors.push(...validateCorrelationMatrix(cfg.model.correlations, ids.length));
+  if (cfg.model && !GENERATORS.includes(cfg.model.generator ?? "normal")) errors.push("Unknown market model.");
+  if (cfg.model?.generator === "regime") errors.push(...validateRegimes(cfg.model.regimes, ids));
+  if (cfg.model) errors.push(...validateDistributions(cfg.model, ids));
+  if (cfg.model?.generator === "bootstrap") {
+    const block = cfg.model.bootstrap?.blockSize;
+    const max = HISTORICAL_RETURNS.rows.length;
+    if (!(Number.isInteger(block) && block >= 1 && block <= max)) errors.push(`Block size must be between 1 and ${max} years.`);
+
+    const missing = ids.filter((k) => !HISTORICAL_RETURNS.assets.includes(k));
+    if (missing.length) errors.push(`Historical data covers ${HISTORICAL_RETURNS.assets.join(", ")} only (not ${missing.join(", ")}).`);
+  }
+
+  return errors;
+}
+
+export function validateCorrelationMatrix(m, size) {
+  // square, symmetric, unit diagonal, entries in [-1, 1], positive semi-definite
+  if (!Array.isArray(m) || m.length !== size || m.some((row) => !Array.isArray(row) || row.length !== size)) {
+    return [`Correlation matrix must be ${size}x${size}.`];
+  }
+
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      const v = m[i][j];
+      if (!Number.isFinite(v) || v < -1 || v > 1) return ["Correlations must be between -1 and 1."];
+      if (i === j && Math.abs(v - 1) > 1e-9) return ["Correlation matrix diagonal must be 1."];
+      if (Math.abs(v - m[j][i]) > 1e-9) return ["Correlation matrix must be symmetric."];
+    }
+  }
+
+  if (!cholesky(m)) return ["Correlation matrix is not positive semi-definite."];
+  return [];
+}
+
+export function validateRegimes(regimes, ids) {
+  // per-state asset overrides need mean/vol; transition rows are probabilities summing to 1
+  const names = Object.keys(regimes?.states ?? {});
+  if (!names.length) return ["Regime model needs at least one state."];
+  if (!names.includes(regimes.start)) return ["Starting regime must be one of the defined states."];
+
+  for (const name of names) {
+    const params = regimes.states[name];
+    for (const k of ids) {
+      const m = params[k];
+      if (m && (!isNumber(m.mean) || !(isNumber(m.vol) && m.vol >= 0))) return [`Regime "${name}" needs a mean and vol for ${k}.`];
+    }
+
+    const row = regimes.transitions?.[name];
+    if (!row) return [`Regime "${name}" has no transition row.`];
+
+    let total = 0;
+    for (const [to, p] of Object.entries(row)) {
+      if (!names.includes(to)) return [`Regime "${name}" transitions to unknown state "${to}".`];
+      if (!(isNumber(p) && p >= 0 && p <= 1)) return [`Transition probabilities for "${name}" must be between 0 and 1.`];
+      total += p;
+    }
+    if (Math.abs(total - 1) > 1e-6) return [`Transition probabilities for "${name}" must sum to 1.`];
+  }
+
+  return [];
+}
+
+export function validateContributions(cfg) {
+  const c = cfg.contributions;
+  if (!c) return [];
+
+  const errors = [];
+  const inHorizon = (y) => Number.isInteger(y) && y >= 1 && y <= cfg.horizonYears;
+  if (!(isNumber(c.escalation) && c.escalation > -0.2 && c.escalation <= 0.2)) {
+    errors.push("Contribution increase must be between -20% and 20% a year.");
+  }
+  if (!Array.isArray(c.lumpSums) || c.lumpSums.some((l) => !inHorizon(l?.year) || !isNumber(l.amount))) {
+    errors.push("Lump sums need a year within the time horizon and an amount.");
+  }
+  if (!Array.isArray(c.pauses) || c.pauses.some((p) => !inHorizon(p?.from) || !inHorizon(p.to) || p.from > p.to)) {
+    errors.push("Contribution pauses must be year ranges within the time horizon.");
+  }
+  return errors;
+}
+
+export function validateGoal(cfg) {
+  const g = cfg.goal;
+  if (!g?.enabled) return [];
 
+  const errors = [];
+  if (!(isNumber(g.target) && g.target > 0)) errors.push("Goal amount must be more than 0.");
+  if (!(Number.isInteger(g.year) && g.year >= 1 && g.year <= cfg.horizonYears)) {
+    errors.push("Goal year must fall within the time horizon.");
+  }
+  return errors;
+}
+
+export function validateTax(cfg) {
+  const t = cfg.tax;
+  if (!t?.enabled) return [];
+
+  const errors = [];
+  const shares = Object.values(t.split ?? {});
+  const total = shares.reduce((s, x) => s + x, 0);
+  if (shares.some((x) => !(isNumber(x) && x >= 0)) || Math.abs(total - 1) > 1e-6) errors.push("Account split must equal 100%.");
+  if (!(isNumber(t.dividendYield) && t.dividendYield >= 0 && t.dividendYield <= 0.2)) errors.push("Dividend yield must be between 0% and 20%.");
+  const rates = [t.dividendRate, t.capitalGainsRate, t.incomeRate];
+  if (rates.some((r) => !(isNumber(r) && r >= 0 && r < 1))) errors.push("Tax rates must be between 0% and 100%.");
+  return errors;
+}
+
+export function validateSensitivity(cfg) {
+  const s = cfg.sensitivity;
+  if (!s) return [];
+
+  const errors = [];
+  if (!(Number.isInteger(s.runs) && s.runs >= 1 && s.runs <= 20000)) errors.push("Sensitivity runs must be between 1 and 20,000.");
+  if (Object.values(s.steps ?? {}).some((x) => !(isNumber(x) && x >= 0 && x <= 1))) errors.push("Sensitivity steps must be between 0% and 100%.");
+  return errors;
+}
+
+export function validateStress(cfg) {
+  const st = cfg.stress;
+  if (!st?.enabled) return [];
+
+  const errors = [];
+  if (!Object.hasOwn(STRESS_SCENARIOS, st.scenario)) errors.push("Unknown stress scenario.");
+  if (!(Number.isInteger(st.startYear) && st.startYear >= 1 && st.startYear <= cfg.horizonYears)) {
+    errors.push("Stress start year must fall within the time horizon.");
+  }
+  return errors;
+}
+
+const WITHDRAWAL_STRATEGIES = ["fixed", "guardrails", "vpw", "floorCeiling"];
+
+export function validateWithdrawal(cfg) {
+  const w = cfg.withdrawal;
+  if (!w?.enabled) return [];
+
+  const errors = [];
+  if (!(Number.isInteger(w.startYear) && w.startYear >= 1 && w.startYear <= cfg.horizonYears)) {
+    errors.push("Retirement year must fall within the time horizon.");
+  }
+  if (!WITHDRAWAL_STRATEGIES.includes(w.strategy)) errors.push("Unknown withdrawal strategy.");
+  // vpw sizes every withdrawal from its assumed return and never reads the rate
+  if (w.strategy !== "vpw" && !(isNumber(w.rate) && w.rate > 0 && w.rate <= 0.2)) errors.push("Withdrawal rate must be between 0% and 20%.");
+  if (w.strategy === "vpw" && !(isNumber(w.vpwReturn) && w.vpwReturn > -1)) errors.push("VPW assumed return must be above -100%.");
+  if (w.strategy === "guardrails" && !(isNumber(w.guardrail) && w.guardrail > 0 && isNumber(w.adjustment) && w.adjustment >= 0 && w.adjustment < 1)) {
+    errors.push("Guardrail and adjustment must be between 0% and 100%.");
+  }
+  if (w.strategy === "floorCeiling" && !(isNumber(w.floor) && w.floor > 0 && w.floor <= 1 && isNumber(w.ceiling) && w.ceiling >= 1)) {
+    errors.push("Spending floor must be at most 100% and ceiling at least 100%.");
+  }
   return errors;
 }
+
+export function validateDistributions(model, ids) {
+  for (const k of ids) {
+    const m = model[k];
+    if (!m) continue; // reported by the model check
+    const dist = m.dist ?? "normal";
+    if (!DISTRIBUTIONS.includes(dist)) return [`Unknown return distribution for ${k}.`];
+    if (dist === "lognormal" && !(m.mean > -1)) return [`Lognormal ${k} needs a mean above -100%.`];
+
+    if (dist === "t" || dist === "skewt") {
+      const df = m.df ?? model.tails?.df;
+      const skew = m.skew ?? model.tails?.skew;
+      if (!(isNumber(df) && df > 2)) return ["Degrees of freedom must be greater than 2."];
+      if (dist === "skewt" && !(isNumber(skew) && skew > 0)) return ["Skew must be greater than 0."];
+    }
+  }
+  return [];
+}
+
+const GLIDE_TYPES = ["none", "linear", "targetDate", "custom"];
+
+export function validateGlidePath(cfg) {
+  const g = cfg.glidePath;
+  if (!g || g.type === "none") return [];
+  if (!GLIDE_TYPES.includes(g.type)) return ["Unknown glide path type."];
+
+  const ids = assetIds(cfg);
+  const weight = (m, k) => m?.[k] ?? 0;
+  const mixOk = (m) =>
+    ids.every((k) => isNumber(weight(m, k)) && weight(m, k) >= 0 && weight(m, k) <= 1) && ids.some((k) => weight(m, k) > 0);
+
+  if (g.type === "linear") {
+    if (!(isNumber(g.startYear) && g.startYear >= 1 && isNumber(g.endYear) && g.endYear > g.startYear)) return ["Glide path must end after it starts."];
+    if (!mixOk(g.end)) return ["Glide path end mix needs one percentage (0-100) per asset."];
+  }
+  if (g.type === "targetDate" && !isNumber(g.targetYear)) return ["Target year is required."];
+  if (g.type === "custom") {
+    if (!Array.isArray(g.table) || !g.table.length) return ["Custom glide path needs at least one row."];
+    for (let i = 0; i < g.table.length; i++) {
+      const row = g.table[i];
+      if (!(Number.isInteger(row.year) && row.year >= 1)) return [`Glide path row ${i + 1} needs a year of 1 or more.`];
+      if (i && row.year <= g.table[i - 1].year) return ["Glide path rows must be in increasing year order."];
+      if (!mixOk(row)) return [`Glide path row ${i + 1} needs one percentage (0-100) per asset.`];
+    }
+  }
+  return [];
+}
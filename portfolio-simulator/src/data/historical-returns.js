@@ -0,0 +1,105 @@
+// Annual US total returns, 1928-2023, as decimals.
+// stocks: S&P 500 incl. dividends, bonds: 10-year Treasury, cash: 3-month T-bill.
+// Source: A. Damodaran, "Historical Returns on Stocks, Bonds and Bills" (NYU Stern), rounded.
+export const HISTORICAL_RETURNS = {
+  assets: ["stocks", "bonds", "cash"],
+  // [year, stocks, bonds, cash]
+  rows: [
+    [1928, 0.4381, 0.0084, 0.0308],
+    [1929, -0.0830, 0.0420, 0.0316],
+    [1930, -0.2512, 0.0454, 0.0455],
+    [1931, -0.4384, -0.0256, 0.0231],
+    [1932, -0.0864, 0.0879, 0.0107],
+    [1933, 0.4998, 0.0186, 0.0096],
+    [1934, -0.0119, 0.0796, 0.0028],
+    [1935, 0.4674, 0.0447, 0.0017],
+    [1936, 0.3194, 0.0502, 0.0017],
+    [1937, -0.3534, 0.0138, 0.0028],
+    [1938, 0.2928, 0.0421, 0.0007],
+    [1939, -0.0110, 0.0441, 0.0005],
+    [1940, -0.1067, 0.0540, 0.0004],
+    [1941, -0.1277, -0.0202, 0.0013],
+    [1942, 0.1917, 0.0229, 0.0034],
+    [1943, 0.2506, 0.0249, 0.0038],
+    [1944, 0.1903, 0.0258, 0.0038],
+    [1945, 0.3582, 0.0380, 0.0038],
+    [1946, -0.0843, 0.0313, 0.0038],
+    [1947, 0.0520, 0.0092, 0.0060],
+    [1948, 0.0570, 0.0195, 0.0105],
+    [1949, 0.1830, 0.0466, 0.0112],
+    [1950, 0.3081, 0.0043, 0.0120],
+    [1951, 0.2368, -0.0030, 0.0152],
+    [1952, 0.1815, 0.0227, 0.0172],
+    [1953, -0.0121, 0.0414, 0.0189],
+    [1954, 0.5256, 0.0329, 0.0094],
+    [1955, 0.3260, -0.0134, 0.0172],
+    [1956, 0.0744, -0.0226, 0.0262],
+    [1957, -0.1046, 0.0680, 0.0322],
+    [1958, 0.4372, -0.0210, 0.0177],
+    [1959, 0.1206, -0.0265, 0.0339],
+    [1960, 0.0034, 0.1164, 0.0287],
+    [1961, 0.2664, 0.0206, 0.0235],
+    [1962, -0.0881, 0.0569, 0.0277],
+    [1963, 0.2261, 0.0168, 0.0316],
+    [1964, 0.1642, 0.0373, 0.0355],
+    [1965, 0.1240, 0.0072, 0.0395],
+    [1966, -0.0997, 0.0291, 0.0486],
+    [1967, 0.2380, -0.0158, 0.0429],
+    [1968, 0.1081, 0.0327, 0.0534],
+    [1969, -0.0824, -0.0501, 0.0667],
+    [1970, 0.0356, 0.1675, 0.0639],
+    [1971, 0.1422, 0.0979, 0.0433],
+    [1972, 0.1876, 0.0282, 0.0406],
+    [1973, -0.1431, 0.0366, 0.0704],
+    [1974, -0.2590, 0.0199, 0.0785],
+    [1975, 0.3700, 0.0361, 0.0579],
+    [1976, 0.2383, 0.1598, 0.0498],
+    [1977, -0.0698, 0.0129, 0.0526],
+    [1978, 0.0651, -0.0078, 0.0718],
+    [1979, 0.1852, 0.0067, 0.1005],
+    [1980, 0.3174, -0.0299, 0.1139],
+    [1981, -0.0470, 0.0820, 0.1404],
+    [1982, 0.2042, 0.3281, 0.1060],
+    [1983, 0.2234, 0.0320, 0.0862],
+    [1984, 0.0615, 0.1373, 0.0954],
+    [1985, 0.3124, 0.2571, 0.0747],
+    [1986, 0.1849, 0.2428, 0.0597],
+    [1987, 0.0581, -0.0496, 0.0578],
+    [1988, 0.1654, 0.0822, 0.0667],
+    [1989, 0.3148, 0.1769, 0.0811],
+    [1990, -0.0306, 0.0624, 0.0750],
+    [1991, 0.3023, 0.1500, 0.0538],
+    [1992, 0.0749, 0.0936, 0.0343],
+    [1993, 0.0997, 0.1421, 0.0300],
+    [1994, 0.0133, -0.0804, 0.0425],
+    [1995, 0.3720, 0.2348, 0.0549],
+    [1996, 0.2268, 0.0143, 0.0501],
+    [1997, 0.3310, 0.0994, 0.0506],
+    [1998, 0.2834, 0.1492, 0.0478],
+    [1999, 0.2089, -0.0825, 0.0464],
+    [2000, -0.0903, 0.1666, 0.0582],
+    [2001, -0.1185, 0.0557, 0.0339],
+    [2002, -0.2197, 0.1512, 0.0160],
+    [2003, 0.2836, 0.0038, 0.0101],
+    [2004, 0.1074, 0.0449, 0.0137],
+    [2005, 0.0483, 0.0287, 0.0315],
+    [2006, 0.1561, 0.0196, 0.0473],
+    [2007, 0.0548, 0.1021, 0.0436],
+    [2008, -0.3655, 0.2010, 0.0137],
+    [2009, 0.2594, -0.1112, 0.0015],
+    [2010, 0.1482, 0.0846, 0.0014],
+    [2011, 0.0210, 0.1604, 0.0005],
+    [2012, 0.1589, 0.0297, 0.0009],
+    [2013, 0.3215, -0.0910, 0.0006],
+    [2014, 0.1352, 0.1075, 0.0003],
+    [2015, 0.0138, 0.0128, 0.0005],
+    [2016, 0.1177, 0.0069, 0.0032],
+    [2017, 0.2161, 0.0280, 0.0093],
+    [2018, -0.0423, -0.0002, 0.0194],
+    [2019, 0.3121, 0.0964, 0.0155],
+    [2020, 0.1802, 0.1133, 0.0009],
+    [2021, 0.2847, -0.0442, 0.0006],
+    [2022, -0.1801, -0.1783, 0.0202],
+    [2023, 0.2606, 0.0388, 0.0507]
+  ]
+};
@@ -0,0 +1,33 @@
+// Crisis sequences replayed by stress tests. Asset returns are the
+// HISTORICAL_RETURNS rows for years `from`..`to`; inflation is US CPI
+// (December to December, rounded) for the same years.
+export const STRESS_SCENARIOS = {
+  gfc2008: {
+    label: "2008 financial crisis",
+    note: "Stocks -37%, then the 2009 rebound",
+    from: 2008,
+    to: 2009,
+    inflation: [0.001, 0.027]
+  },
+  stagflation: {
+    label: "1970s stagflation",
+    note: "Two bear markets and double-digit inflation",
+    from: 1973,
+    to: 1982,
+    inflation: [0.087, 0.123, 0.069, 0.049, 0.067, 0.09, 0.133, 0.125, 0.089, 0.038]
+  },
+  techBust: {
+    label: "2000–2002 tech bust",
+    note: "Three straight losing years for stocks",
+    from: 2000,
+    to: 2002,
+    inflation: [0.034, 0.016, 0.024]
+  },
+  lostDecade: {
+    label: "Lost decade (2000–2009)",
+    note: "Ten years of roughly flat stocks",
+    from: 2000,
+    to: 2009,
+    inflation: [0.034, 0.016, 0.024, 0.019, 0.033, 0.034, 0.025, 0.041, 0.001, 0.027]
+  }
+};
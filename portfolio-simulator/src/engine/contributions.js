@@ -0,0 +1,16 @@
+import { isRetired } from "./withdrawals.js";
+
+// Regular deposits for simulation year `year` (1-based): monthlyContribution x 12,
+// raised by `escalation` every year after the first. Paused years and retirement
+// years deposit nothing; the escalation keeps compounding through a pause.
+export function contributionForYear(config, year) {
+  const schedule = config.contributions;
+  if (isRetired(config, year)) return 0;
+  if (schedule?.pauses.some((p) => year >= p.from && year <= p.to)) return 0;
+  return config.monthlyContribution * 12 * Math.pow(1 + (schedule?.escalation ?? 0), year - 1);
+}
+
+// Net one-off amount at the start of `year`: deposits are positive, withdrawals negative
+export function lumpSumForYear(config, year) {
+  return (config.contributions?.lumpSums ?? []).reduce((s, l) => (l.year === year ? s + l.amount : s), 0);
+}
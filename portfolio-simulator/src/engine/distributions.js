@@ -0,0 +1,66 @@
+import { randGamma } from "../core/rng.js";
+import { logGamma } from "../core/math.js";
+
+// Floor for symmetric/fat-tailed draws: an asset can lose at most 99% in a step,
+// so holdings (and the portfolio) never go negative.
+export const MIN_RETURN = -0.99;
+
+export const DISTRIBUTIONS = ["normal", "lognormal", "t", "skewt"];
+
+// Turns a standard normal x (already correlated across assets) into a return
+// with the model's mean/vol and shape; `mix` is the step's shared t mixing
+// (see createMixing) and is ignored by the normal shapes:
+//   normal:    mean + vol * x
+//   lognormal: 1 + r = exp(mu + sigma * x), moments matched to mean/vol (never below -100%)
+//   t:         Student-t with `df` degrees of freedom, scaled to unit variance
+//   skewt:     split-scale t (positive side x skew, negative side / skew), re-standardized;
+//              skew < 1 fattens the left tail
+export function createShaper(model) {
+  const { mean, vol } = model;
+
+  switch (model.dist ?? "normal") {
+    case "lognormal": {
+      const sigma2 = Math.log(1 + (vol * vol) / ((1 + mean) * (1 + mean)));
+      const mu = Math.log(1 + mean) - sigma2 / 2;
+      const sigma = Math.sqrt(sigma2);
+      return (x) => Math.exp(mu + sigma * x) - 1;
+    }
+    case "t": {
+      const df = model.df;
+      const scale = Math.sqrt((df - 2) / df);
+      return (x, mix) => Math.max(MIN_RETURN, mean + vol * scale * (x / mix(df)));
+    }
+    case "skewt": {
+      const df = model.df;
+      const g = model.skew;
+      const m1 = absMomentT(df);
+      const m2 = df / (df - 2);
+      const center = (m1 / 2) * (g - 1 / g);
+      const sd = Math.sqrt((m2 / 2) * (g * g + 1 / (g * g)) - center * center);
+      return (x, mix) => {
+        const t = x / mix(df);
+        const y = t >= 0 ? t * g : t / g;
+        return Math.max(MIN_RETURN, mean + vol * ((y - center) / sd));
+      };
+    }
+    case "normal":
+    default:
+      return (x) => Math.max(MIN_RETURN, mean + vol * x);
+  }
+}
+
+// t = z / sqrt(chi2(df) / df). One chi-square draw per step is shared by every
+// asset with the same df, so correlated z stay correlated (multivariate t);
+// call once per step, the mixing is drawn lazily on first use.
+export function createMixing(rand) {
+  const drawn = new Map();
+  return (df) => {
+    if (!drawn.has(df)) drawn.set(df, Math.sqrt((2 * randGamma(rand, df / 2)) / df));
+    return drawn.get(df);
+  };
+}
+
+// E|T| for Student-t with df > 1
+function absMomentT(df) {
+  return (2 * Math.sqrt(df) * Math.exp(logGamma((df + 1) / 2) - logGamma(df / 2))) / (Math.sqrt(Math.PI) * (df - 1));
+}
@@ -0,0 +1,77 @@
+import { clamp } from "../core/math.js";
+import { normalizeAllocation } from "../core/validation.js";
+import { assetIds, assetInfo } from "../config/assets.js";
+
+// Target-date style growth-asset share by years until the target year
+// (roughly the shape of common target-date funds: flat, then de-risk into and past the date)
+export const TARGET_DATE_CURVE = [
+  [40, 0.90],
+  [25, 0.90],
+  [0, 0.50],
+  [-7, 0.30]
+];
+
+export function hasGlidePath(config) {
+  return !!config.glidePath && config.glidePath.type !== "none";
+}
+
+// Target weights for simulation year `year` (1-based; fractional for steps within a
+// year, which linear and targetDate interpolate and custom rows hold through)
+//   linear:     straight line from config.allocation (startYear) to glidePath.end (endYear)
+//   targetDate: growth assets (see ASSET_CATALOG class) follow TARGET_DATE_CURVE; each side
+//               keeps its starting internal mix
+//   custom:     step table of { year, [assetId]: weight }; each row holds until the next
+export function allocationForYear(config, year) {
+  const g = config.glidePath;
+  const start = config.allocation;
+  const ids = assetIds(config);
+  if (!hasGlidePath(config)) return start;
+
+  switch (g.type) {
+    case "linear": {
+      const span = Math.max(1, g.endYear - g.startYear);
+      const t = clamp((year - g.startYear) / span, 0, 1);
+      return normalizeAllocation(Object.fromEntries(ids.map((k) => [k, lerp(start[k], g.end[k] ?? 0, t)])), ids);
+    }
+    case "targetDate": {
+      const growthShare = curveAt(TARGET_DATE_CURVE, g.targetYear - year);
+      const growth = ids.filter((k) => assetInfo(k).class === "growth");
+      const defensive = ids.filter((k) => assetInfo(k).class !== "growth");
+      if (!growth.length || !defensive.length) return start;
+
+      const parts = { ...splitLike(start, growth, growthShare), ...splitLike(start, defensive, 1 - growthShare) };
+      return Object.fromEntries(ids.map((k) => [k, parts[k]]));
+    }
+    case "custom": {
+      let current = start;
+      for (const row of g.table) {
+        if (row.year > year) break;
+        current = normalizeAllocation(row, ids);
+      }
+      return current;
+    }
+    default:
+      return start;
+  }
+}
+
+// Spread `share` over `ids` in the same proportions they have in `mix` (equal if all 0)
+function splitLike(mix, ids, share) {
+  const total = ids.reduce((s, k) => s + mix[k], 0);
+  return Object.fromEntries(ids.map((k) => [k, share * (total > 0 ? mix[k] / total : 1 / ids.length)]));
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function curveAt(points, x) {
+  // points sorted by x descending; flat beyond both ends
+  if (x >= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    if (x >= x1) return lerp(y0, y1, (x0 - x) / (x0 - x1));
+  }
+  return points[points.length - 1][1];
+}
@@ -0,0 +1,75 @@
+import { mulberry32, randn } from "../core/rng.js";
+
+// Price-index generator for one path. Stochastic inflation uses its own RNG
+// stream (derived from the path seed) so switching it on or off never shifts
+// the asset-return draws.
+export function createInflation(config, seed) {
+  const inf = config.inflation;
+  const rand = inf?.enabled && inf.stochastic ? mulberry32((seed ^ 0x9e3779b9) >>> 0) : null;
+
+  return function nextYearRate() {
+    if (!inf?.enabled) return 0;
+    if (!rand) return inf.rate;
+    // floor keeps the per-step root defined in extreme draws
+    return Math.max(-0.5, inf.rate + inf.vol * randn(rand));
+  };
+}
+
+export function isReal(config) {
+  return !!(config.inflation?.enabled && config.inflation.real);
+}
+
+// Convert a nominal path into today's dollars using its simulated price index.
+// Contributions are deflated at the index in force when each deposit was made,
+// withdrawals at the index when the year's spending was set.
+export function deflatePath(path) {
+  const { value, returns, contributions, inflation, inflationIndex } = path.series;
+
+  const deflateFlows = (cumulative, indexAtStart) => {
+    const out = [];
+    let prev = 0;
+    let total = 0;
+    cumulative.forEach((c, i) => {
+      total += (c - prev) / indexAtStart(i);
+      prev = c;
+      out.push(total);
+    });
+    return out;
+  };
+
+  // deposits happen at the start of each step, i.e. at the previous step's index
+  const realContributions = path.monthly
+    ? yearEnds(deflateFlows(path.monthly.contributions, (i) => (i ? path.monthly.inflationIndex[i - 1] : 1)), path.years)
+    : deflateFlows(contributions, (i) => (i ? inflationIndex[i - 1] : 1));
+
+  return {
+    ...path,
+    dollars: "real",
+    series: {
+      ...path.series,
+      value: value.map((v, i) => v / inflationIndex[i]),
+      returns: returns.map((r, i) => (1 + r) / (1 + inflation[i]) - 1),
+      contributions: realContributions,
+      // spending is set at the start of each retirement year
+      withdrawals: path.series.withdrawals?.map((w, i) => w / (i ? inflationIndex[i - 1] : 1)),
+      afterTax: path.series.afterTax && path.series.afterTax.map((v, i) => v / inflationIndex[i]),
+      // taxes are paid through the year; the year-end index is close enough
+      taxes: path.series.taxes && path.series.taxes.map((t, i) => t / inflationIndex[i]),
+      lumpSums: path.series.lumpSums?.map((l, i) => l / (i ? inflationIndex[i - 1] : 1))
+    },
+    monthly: path.monthly && {
+      ...path.monthly,
+      value: path.monthly.value.map((v, i) => v / path.monthly.inflationIndex[i])
+    }
+  };
+}
+
+// Results in the dollar basis the config asks for (nominal unless inflation.real)
+export function inReportingDollars(config, path) {
+  return isReal(config) ? deflatePath(path) : path;
+}
+
+function yearEnds(stepSeries, years) {
+  const steps = stepSeries.length / years;
+  return Array.from({ length: years }, (_, y) => stepSeries[(y + 1) * steps - 1]);
+}
@@ -0,0 +1,8 @@
+// Module worker: simulates one slice [from, to) of the Monte Carlo seed stream
+import { collectMonteCarloRuns } from "./simulator.js";
+
+self.onmessage = (e) => {
+  const { config, from, to } = e.data;
+  const part = collectMonteCarloRuns(config, from, to, (done) => self.postMessage({ type: "progress", done }));
+  self.postMessage({ type: "done", part });
+};
@@ -0,0 +1,82 @@
+import { collectMonteCarloRuns, mergeMonteCarlo } from "./simulator.js";
+
+const WORKER_URL = new URL("./mc.worker.js", import.meta.url);
+
+export function poolSize(runs) {
+  const cores = globalThis.navigator?.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(cores, 4, runs));
+}
+
+// Contiguous [from, to) slices of the seed stream, one per worker
+export function splitRuns(runs, count) {
+  const size = Math.ceil(runs / count);
+  const ranges = [];
+  for (let from = 0; from < runs; from += size) ranges.push([from, Math.min(runs, from + size)]);
+  return ranges;
+}
+
+function abortError() {
+  return new DOMException("Monte Carlo run cancelled.", "AbortError");
+}
+
+// Runs the Monte Carlo on a pool of module workers split by seed range.
+// Resolves to the same result as runMonteCarloBands(config) (up to t-digest
+// approximation in streaming mode); rejects with an
+// AbortError when `signal` aborts. Without Worker support it runs inline.
+export function runMonteCarloParallel(config, { onProgress = null, signal = null } = {}) {
+  const runs = config.monteCarlo.runs;
+
+  if (typeof Worker === "undefined") {
+    if (signal?.aborted) return Promise.reject(abortError());
+    const part = collectMonteCarloRuns(config, 0, runs, (done) => onProgress?.(done / runs));
+    return Promise.resolve(mergeMonteCarlo(config, [part]));
+  }
+
+  return new Promise((resolve, reject) => {
+    const ranges = splitRuns(runs, poolSize(runs));
+    const done = ranges.map(() => 0);
+    const parts = ranges.map(() => null);
+    const workers = [];
+    let remaining = ranges.length;
+
+    const stop = () => {
+      for (const w of workers) w.terminate();
+    };
+
+    const onAbort = () => {
+      stop();
+      reject(abortError());
+    };
+
+    if (signal?.aborted) return reject(abortError());
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    ranges.forEach(([from, to], i) => {
+      const worker = new Worker(WORKER_URL, { type: "module" });
+      workers.push(worker);
+
+      worker.onmessage = (e) => {
+        if (e.data.type === "progress") {
+          done[i] = e.data.done;
+          onProgress?.(done.reduce((s, d) => s + d, 0) / runs);
+          return;
+        }
+
+        parts[i] = e.data.part;
+        worker.terminate();
+        if (--remaining === 0) {
+          signal?.removeEventListener("abort", onAbort);
+          resolve(mergeMonteCarlo(config, parts));
+        }
+      };
+
+      worker.onerror = (e) => {
+        signal?.removeEventListener("abort", onAbort);
+        stop();
+        reject(new Error(e.message || "Monte Carlo worker failed."));
+      };
+
+      worker.postMessage({ config, from, to });
+    });
+  });
+}
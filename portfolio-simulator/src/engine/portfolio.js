@@ -1,19 +1,175 @@
-export function createPortfolio(startValue, allocation) {
+export const ACCOUNT_TYPES = ["taxable", "traditional", "roth"];
+
+// Withdrawals drain taxable money first and Roth last
+const WITHDRAWAL_ORDER = ACCOUNT_TYPES;
+
+// `tax` (config.tax, or null for no taxes) splits the starting balance and
+// every contribution across account types. Every account holds the same asset
+// mix, so accounts are tracked as dollar totals next to the per-asset holdings;
+// the taxable account's cost basis is pooled (average cost).
+export function createPortfolio(startValue, allocation, tax = null) {
+  const holdings = {};
+  for (const [k, w] of Object.entries(allocation)) holdings[k] = startValue * w;
+
+  const accounts = tax && Object.fromEntries(ACCOUNT_TYPES.map((a) => [a, startValue * (tax.split[a] ?? 0)]));
+
   return {
-    value: startValue,
-    allocation: { ...allocation } // decimals that sum to 1
+    holdings, // $ per asset
+    allocation: { ...allocation }, // target weights, decimals that sum to 1
+    tax,
+    accounts, // $ per account type (null without taxes)
+    basis: accounts ? accounts.taxable : 0, // cost basis of the taxable account
+    taxPaid: 0 // running total of every tax below
   };
 }
 
+export function portfolioValue(portfolio) {
+  let total = 0;
+  for (const v of Object.values(portfolio.holdings)) total += v;
+  return total;
+}
+
+export function currentWeights(portfolio) {
+  const total = portfolioValue(portfolio);
+  const w = {};
+  // an empty (depleted) portfolio reports its targets so drift stays 0
+  for (const [k, v] of Object.entries(portfolio.holdings)) w[k] = total > 0 ? v / total : portfolio.allocation[k];
+  return w;
+}
+
+// Market moves and fees change every account by the same factor
+function scaleAccounts(portfolio, factor) {
+  if (!portfolio.accounts) return;
+  for (const a of ACCOUNT_TYPES) portfolio.accounts[a] *= factor;
+}
+
+// Sells pro-rata across assets; the caller books the cash against an account
+function sellProRata(portfolio, amount) {
+  const total = portfolioValue(portfolio);
+  if (total > 0) {
+    for (const k of Object.keys(portfolio.holdings)) portfolio.holdings[k] *= 1 - amount / total;
+  }
+}
+
+// Unrealized gain share of the taxable account (0 when at or below basis)
+function gainShare(portfolio) {
+  const value = portfolio.accounts.taxable;
+  return value > 0 ? Math.max(0, 1 - portfolio.basis / value) : 0;
+}
+
+// Sell from the taxable account; returns the capital gains tax due on the sale
+function sellTaxable(portfolio, amount) {
+  const value = portfolio.accounts.taxable;
+  if (!(value > 0) || !(amount > 0)) return 0;
+  const gain = amount * gainShare(portfolio);
+  portfolio.basis *= 1 - amount / value;
+  portfolio.accounts.taxable -= amount;
+  return gain * portfolio.tax.capitalGainsRate;
+}
+
+// Pay a tax out of the taxable account (it is the only one with cash outside a withdrawal)
+function payFromTaxable(portfolio, tax) {
+  const paid = Math.min(tax, portfolio.accounts.taxable);
+  portfolio.basis *= portfolio.accounts.taxable > 0 ? 1 - paid / portfolio.accounts.taxable : 0;
+  portfolio.accounts.taxable -= paid;
+  sellProRata(portfolio, paid);
+  portfolio.taxPaid += paid;
+}
+
 export function applyContribution(portfolio, amount) {
-  portfolio.value += amount;
+  // new money goes in at target weights
+  for (const [k, w] of Object.entries(portfolio.allocation)) portfolio.holdings[k] += amount * w;
+
+  if (!portfolio.accounts) return;
+  for (const a of ACCOUNT_TYPES) portfolio.accounts[a] += amount * (portfolio.tax.split[a] ?? 0);
+  portfolio.basis += amount * (portfolio.tax.split.taxable ?? 0);
+}
+
+export function applyWithdrawal(portfolio, amount) {
+  // pro-rata across holdings, capped at what is left; returns the amount actually withdrawn
+  const total = portfolioValue(portfolio);
+  const taken = Math.min(amount, total);
+  sellProRata(portfolio, taken);
+
+  // taxes come out of the withdrawal: gains on taxable sales, income tax on
+  // traditional money, nothing on Roth
+  if (portfolio.accounts) {
+    let left = taken;
+    for (const a of WITHDRAWAL_ORDER) {
+      const from = Math.min(left, portfolio.accounts[a]);
+      if (a === "taxable") portfolio.taxPaid += sellTaxable(portfolio, from);
+      else portfolio.accounts[a] -= from;
+      if (a === "traditional") portfolio.taxPaid += from * portfolio.tax.incomeRate;
+      left -= from;
+    }
+  }
+  return taken;
 }
 
 export function applyFees(portfolio, annualFeeRate) {
   // annualFeeRate = 0.002 (0.2%)
-  portfolio.value *= (1 - annualFeeRate);
+  for (const k of Object.keys(portfolio.holdings)) portfolio.holdings[k] *= (1 - annualFeeRate);
+  scaleAccounts(portfolio, 1 - annualFeeRate);
+}
+
+// Tax drag: the taxable account's dividends (part of the asset returns) are
+// taxed as they are paid and the rest reinvested, which adds to the basis
+export function applyDividendTax(portfolio, steps) {
+  if (!portfolio.accounts) return;
+  const dividends = (portfolio.accounts.taxable * portfolio.tax.dividendYield) / steps;
+  const tax = dividends * portfolio.tax.dividendRate;
+  portfolio.basis += dividends;
+  payFromTaxable(portfolio, tax);
 }
 
-export function applyReturn(portfolio, weightedReturn) {
-  portfolio.value *= (1 + weightedReturn);
+// What the portfolio is worth once every account is cashed out: unrealized
+// taxable gains pay capital gains tax, traditional money pays income tax
+export function afterTaxValue(portfolio) {
+  if (!portfolio.accounts) return portfolioValue(portfolio);
+  const { taxable, traditional, roth } = portfolio.accounts;
+  const { capitalGainsRate, incomeRate } = portfolio.tax;
+  return taxable * (1 - gainShare(portfolio) * capitalGainsRate) + traditional * (1 - incomeRate) + roth;
+}
+
+export function applyReturn(portfolio, assetReturns) {
+  // assetReturns: { [assetId]: return } -> returns the weighted portfolio return
+  const w = currentWeights(portfolio);
+  let weighted = 0;
+  for (const k of Object.keys(portfolio.holdings)) {
+    weighted += w[k] * assetReturns[k];
+    portfolio.holdings[k] *= (1 + assetReturns[k]);
+  }
+  scaleAccounts(portfolio, 1 + weighted);
+  return weighted;
+}
+
+export function measureDrift(portfolio) {
+  // largest absolute gap between current and target weight
+  const w = currentWeights(portfolio);
+  let drift = 0;
+  for (const [k, target] of Object.entries(portfolio.allocation)) drift = Math.max(drift, Math.abs(w[k] - target));
+  return drift;
+}
+
+export function rebalance(portfolio) {
+  // reset holdings to target weights; returns one-way turnover as a fraction of value
+  const total = portfolioValue(portfolio);
+  if (total <= 0) return 0;
+
+  let traded = 0;
+  for (const [k, target] of Object.entries(portfolio.allocation)) {
+    const next = total * target;
+    traded += Math.abs(next - portfolio.holdings[k]);
+    portfolio.holdings[k] = next;
+  }
+
+  // the taxable account's share of the sales realizes gains; the proceeds are
+  // reinvested, so the basis steps up by the gain and the tax is sold to pay
+  if (portfolio.accounts) {
+    const sold = ((traded / 2) * portfolio.accounts.taxable) / total;
+    const gain = sold * gainShare(portfolio);
+    portfolio.basis += gain;
+    payFromTaxable(portfolio, gain * portfolio.tax.capitalGainsRate);
+  }
+  return traded / 2 / total;
 }
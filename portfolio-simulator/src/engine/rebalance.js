@@ -0,0 +1,17 @@
+// Rebalancing policies, checked at the end of every step:
+// - "annual":    last step of each year
+// - "quarterly": every third month (yearly resolution has no quarters, so it acts at year end)
+// - "threshold": whenever any asset drifts more than `band` from its target weight
+export function shouldRebalance(rebalance, { step, steps, drift }) {
+  if (!rebalance?.enabled) return false;
+
+  switch (rebalance.frequency) {
+    case "quarterly":
+      return steps >= 4 ? (step + 1) % (steps / 4) === 0 : step === steps - 1;
+    case "threshold":
+      return drift > rebalance.band;
+    case "annual":
+    default:
+      return step === steps - 1;
+  }
+}
@@ -0,0 +1,164 @@
+import { randn } from "../core/rng.js";
+import { cholesky } from "../core/math.js";
+import { ASSET_CATALOG, assetIds, assetInfo } from "../config/assets.js";
+import { HISTORICAL_RETURNS } from "../data/historical-returns.js";
+import { createShaper, createMixing } from "./distributions.js";
+
+function scaleModel(model, steps) {
+  // annual {mean, vol} -> per-step (geometric mean so steps compound back to the annual rate, sqrt-time vol)
+  return { mean: Math.pow(1 + model.mean, 1 / steps) - 1, vol: model.vol / Math.sqrt(steps) };
+}
+
+// A regime state's mean/vol for an asset it doesn't list (e.g. one added from the
+// catalog): the state's shift for the class anchor (growth -> stocks, defensive ->
+// bonds) applied to the asset's own model, vol scaled by the anchor's ratio.
+// Without anchor params in the state the asset keeps its base model.
+const REGIME_ANCHORS = { growth: "stocks", defensive: "bonds" };
+
+function regimeParams(config, params, k) {
+  const base = config.model[k];
+  const anchor = REGIME_ANCHORS[assetInfo(k).class];
+  const state = params[anchor];
+  if (!state) return base;
+  const normal = config.model[anchor] ?? ASSET_CATALOG[anchor].model;
+  return {
+    mean: base.mean + (state.mean - normal.mean),
+    vol: normal.vol > 0 ? base.vol * (state.vol / normal.vol) : base.vol
+  };
+}
+
+// Per-asset step shapers: mean/vol from `params` (base model or a regime state,
+// derived by regimeParams when missing), distribution shape always from the base model
+function assetShapers(config, params, steps) {
+  const tails = config.model.tails ?? {};
+  return assetIds(config).map((k) => {
+    const base = config.model[k];
+    return createShaper({
+      ...scaleModel(params[k] ?? regimeParams(config, params, k), steps),
+      dist: base.dist,
+      df: base.df ?? tails.df,
+      skew: base.skew ?? tails.skew
+    });
+  });
+}
+
+function identity(n) {
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+}
+
+function nextRegime(rand, transitions, current) {
+  const row = transitions[current];
+  const u = rand();
+  let acc = 0;
+  for (const [to, p] of Object.entries(row)) {
+    acc += p;
+    if (u < acc) return to;
+  }
+  return current; // float slack on a row summing to ~1
+}
+
+// Correlated parametric draw: independent normals z are mixed through the
+// Cholesky factor of the correlation matrix (an identity matrix reproduces
+// independent draws), then each asset's shaper maps its normal to a return.
+function createCorrelatedDraw(config, rand) {
+  const ids = assetIds(config);
+  const L = cholesky(config.model.correlations ?? identity(ids.length));
+  if (!L) throw new Error("Correlation matrix is not positive semi-definite.");
+
+  return function draw(shapers) {
+    const z = ids.map(() => randn(rand));
+    const mix = createMixing(rand);
+    const out = {};
+
+    ids.forEach((k, i) => {
+      let x = 0;
+      for (let j = 0; j <= i; j++) x += L[i][j] * z[j];
+      out[k] = shapers[i](x, mix);
+    });
+
+    return out;
+  };
+}
+
+function normalGenerator(config, rand, steps) {
+  const shapers = assetShapers(config, config.model, steps);
+  const correlated = createCorrelatedDraw(config, rand);
+
+  return {
+    nextYear: () => null,
+    draw: () => correlated(shapers)
+  };
+}
+
+function regimeGenerator(config, rand, steps) {
+  const regimes = config.model.regimes;
+  const correlated = createCorrelatedDraw(config, rand);
+  const shapers = Object.fromEntries(
+    Object.entries(regimes.states).map(([name, params]) => [name, assetShapers(config, params, steps)])
+  );
+
+  let regime = null;
+  let year = 0;
+
+  return {
+    nextYear() {
+      // first year starts in the configured state; transition at each later year boundary
+      year++;
+      regime = year === 1 ? regimes.start : nextRegime(rand, regimes.transitions, regime);
+      return regime;
+    },
+    draw: () => correlated(shapers[regime])
+  };
+}
+
+// Resamples whole historical years (all assets from the same year, so the
+// cross-asset relationship is kept). blockSize 1 = simple bootstrap; larger
+// blocks replay consecutive years (wrapping around) to keep serial patterns.
+function bootstrapGenerator(config, rand, steps) {
+  const rows = HISTORICAL_RETURNS.rows;
+  const ids = assetIds(config);
+  const cols = ids.map((k) => HISTORICAL_RETURNS.assets.indexOf(k) + 1);
+  if (cols.includes(0)) throw new Error("Historical bootstrap only covers stocks, bonds and cash.");
+  const blockSize = config.model.bootstrap?.blockSize ?? 1;
+
+  let idx = 0;
+  let left = 0; // years remaining in the current block
+  let stepReturns = null;
+
+  return {
+    nextYear() {
+      if (left === 0) {
+        idx = Math.floor(rand() * rows.length);
+        left = blockSize;
+      } else {
+        idx = (idx + 1) % rows.length;
+      }
+      left--;
+
+      // spread the annual return evenly (geometrically) across the year's steps
+      const row = rows[idx];
+      stepReturns = {};
+      ids.forEach((k, i) => {
+        stepReturns[k] = Math.pow(1 + row[cols[i]], 1 / steps) - 1;
+      });
+      return null;
+    },
+    draw: () => ({ ...stepReturns })
+  };
+}
+
+export const GENERATORS = {
+  normal: normalGenerator,
+  regime: regimeGenerator,
+  bootstrap: bootstrapGenerator
+};
+
+// Returns { nextYear, draw } for one path, picked by config.model.generator:
+// - nextYear() is called at the start of every simulated year and returns
+//   the active regime name (or null when the generator has no regimes)
+// - draw() -> { [assetId]: return } per-step returns
+export function createReturnGenerator(config, rand, steps = 1) {
+  const factory = GENERATORS[config.model.generator ?? "normal"];
+  if (!factory) throw new Error(`Unknown return generator "${config.model.generator}".`);
+  return factory(config, rand, steps);
+}
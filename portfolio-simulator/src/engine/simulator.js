@@ -1,84 +1,307 @@
-import { mulberry32, randn } from "../core/rng.js";
-import { createPortfolio, applyContribution, applyFees, applyReturn } from "./portfolio.js";
+import { mulberry32 } from "../core/rng.js";
+import { createDigest, digestAdd, mergeDigests } from "../core/tdigest.js";
+import {
+  createPortfolio,
+  portfolioValue,
+  applyContribution,
+  applyWithdrawal,
+  applyFees,
+  applyReturn,
+  applyDividendTax,
+  afterTaxValue,
+  currentWeights,
+  measureDrift,
+  rebalance
+} from "./portfolio.js";
+import { createReturnGenerator } from "./returns.js";
+import { shouldRebalance } from "./rebalance.js";
+import { createInflation, inReportingDollars, isReal } from "./inflation.js";
+import { createWithdrawalPlan, isRetired } from "./withdrawals.js";
+import { allocationForYear, hasGlidePath } from "./glidepath.js";
+import { contributionForYear, lumpSumForYear } from "./contributions.js";
+import { stressSequence, withStress } from "./stress.js";
 
-function drawAssetReturn(rand, model) {
-  // model: {mean, vol} annual
-  const z = randn(rand);
-  return model.mean + model.vol * z;
+export function stepsPerYear(timestep) {
+  return timestep === "month" ? 12 : 1;
 }
 
 export function runSinglePath(config) {
   const rand = mulberry32(config.monteCarlo.seed);
 
-  const portfolio = createPortfolio(config.startBalance, config.allocation);
+  const glide = hasGlidePath(config);
+  const taxed = !!config.tax?.enabled;
+  const portfolio = createPortfolio(config.startBalance, allocationForYear(config, 1), taxed ? config.tax : null);
 
   const years = config.horizonYears;
-  const contribAnnual = config.monthlyContribution * 12;
+  const steps = stepsPerYear(config.timestep);
+  const feeStep = 1 - Math.pow(1 - config.fees.annual, 1 / steps);
+
+  // stress test: a crisis sequence replaces the random returns for its years
+  const stress = stressSequence(config);
+  const random = createReturnGenerator(config, rand, steps);
+  const returns = stress ? withStress(random, stress, steps) : random;
+  const nextInflation = createInflation(config, config.monteCarlo.seed);
+  const nextSpending = config.withdrawal?.enabled ? createWithdrawalPlan(config) : null;
 
   const valueSeries = [];
   const returnSeries = [];
   const contribSeries = [];
+  const regimeSeries = [];
+  const driftSeries = [];
+  const turnoverSeries = [];
+  const inflationSeries = [];
+  const indexSeries = [];
+  const withdrawalSeries = [];
+  const allocationSeries = [];
+  const stressSeries = [];
+  const afterTaxSeries = [];
+  const taxSeries = [];
+  const lumpSumSeries = [];
   let contribTotal = 0;
+  let rebalanceCount = 0;
+  let priceIndex = 1; // cumulative inflation since today
+  let depletedYear = null; // first retirement year spending could not be fully paid
+  let lastReturn = 0;
+  let lastInflation = 0;
+
+  // per-step series (only kept when stepping finer than a year)
+  const monthly = steps > 1 ? { value: [], returns: [], contributions: [], inflationIndex: [] } : null;
 
   for (let y = 1; y <= years; y++) {
-    // 1) contributions
-    applyContribution(portfolio, contribAnnual);
-    contribTotal += contribAnnual;
+    let growth = 1;
+    let maxDrift = 0;
+    let turnover = 0;
+    const taxBefore = portfolio.taxPaid;
+    const regime = returns.nextYear();
+    const shock = stress?.shockFor(y);
+    const drawnInflation = nextInflation(); // always drawn, so later years match the unstressed path
+    const inflation = shock && config.inflation?.enabled ? shock.inflation : drawnInflation;
+
+    // glide path: move to this year's target mix and trade back onto it
+    if (glide && y > 1) {
+      portfolio.allocation = allocationForYear(config, y);
+      turnover += rebalance(portfolio);
+      rebalanceCount++;
+    }
+    const inflationStep = Math.pow(1 + inflation, 1 / steps);
+
+    // contribution schedule: one-off deposit/withdrawal first, then this year's regular amount
+    const lumpSum = lumpSumForYear(config, y);
+    if (lumpSum > 0) applyContribution(portfolio, lumpSum);
+    // withdrawals are capped at the balance; the contributions series stays net of them
+    const lumpApplied = lumpSum < 0 ? -applyWithdrawal(portfolio, -lumpSum) : lumpSum;
+    contribTotal += lumpApplied;
+    const contribStep = contributionForYear(config, y) / steps;
+
+    // retirement: contributions stop, the spending rule sets this year's withdrawal
+    const retired = isRetired(config, y);
+    const spendStep = retired
+      ? nextSpending({ year: y, value: portfolioValue(portfolio), priceIndex, lastReturn, lastInflation }) / steps
+      : 0;
+    let withdrawn = 0;
+
+    for (let s = 0; s < steps; s++) {
+      // glide path within the year (monthly): the target moves each step, traded onto when it changed
+      if (glide && s > 0) {
+        const target = allocationForYear(config, y + s / steps);
+        if (Object.keys(target).some((k) => Math.abs(target[k] - portfolio.allocation[k]) > 1e-12)) {
+          portfolio.allocation = target;
+          turnover += rebalance(portfolio);
+          rebalanceCount++;
+        }
+      }
+
+      // 1) contributions (or withdrawals once retired)
+      if (retired) {
+        withdrawn += applyWithdrawal(portfolio, spendStep);
+      } else {
+        applyContribution(portfolio, contribStep);
+        contribTotal += contribStep;
+      }
+
+      // 2) generate (correlated) asset returns
+      const r = returns.draw();
+
+      // 3) fees (optional)
+      if (config.fees.enabled) applyFees(portfolio, feeStep);
 
-    // 2) generate asset returns
-    const rStocks = drawAssetReturn(rand, config.model.stocks);
-    const rBonds  = drawAssetReturn(rand, config.model.bonds);
-    const rCash   = drawAssetReturn(rand, config.model.cash);
+      // 4) apply returns per asset (weights drift between rebalances)
+      const weighted = applyReturn(portfolio, r);
+      growth *= 1 + weighted;
+      applyDividendTax(portfolio, steps); // taxable account only (no-op without taxes)
 
-    const a = config.allocation;
-    const weighted =
-      a.stocks * rStocks +
-      a.bonds  * rBonds +
-      a.cash   * rCash;
+      // 5) rebalance per policy
+      const drift = measureDrift(portfolio);
+      maxDrift = Math.max(maxDrift, drift);
+      if (shouldRebalance(config.rebalance, { step: s, steps, drift })) {
+        turnover += rebalance(portfolio);
+        rebalanceCount++;
+      }
 
-    // 3) fees (optional)
-    if (config.fees.enabled) applyFees(portfolio, config.fees.annual);
+      priceIndex *= inflationStep;
 
-    // 4) apply return
-    applyReturn(portfolio, weighted);
+      if (monthly) {
+        monthly.value.push(portfolioValue(portfolio));
+        monthly.returns.push(weighted);
+        monthly.contributions.push(contribTotal);
+        monthly.inflationIndex.push(priceIndex);
+      }
+    }
+
+    const endValue = portfolioValue(portfolio);
+    // depleted = the portfolio could no longer fund the planned spending
+    if (retired && depletedYear === null && withdrawn < spendStep * steps - 0.01) depletedYear = y;
+    lastReturn = growth - 1;
+    lastInflation = inflation;
 
-    valueSeries.push(portfolio.value);
-    returnSeries.push(weighted);
+    // yearly roll-up: year-end value, compounded return, cumulative contributions
+    valueSeries.push(endValue);
+    returnSeries.push(growth - 1);
     contribSeries.push(contribTotal);
+    regimeSeries.push(regime);
+    driftSeries.push(maxDrift);
+    turnoverSeries.push(turnover);
+    inflationSeries.push(inflation);
+    indexSeries.push(priceIndex);
+    withdrawalSeries.push(withdrawn);
+    allocationSeries.push(currentWeights(portfolio));
+    stressSeries.push(!!shock);
+    afterTaxSeries.push(afterTaxValue(portfolio));
+    taxSeries.push(portfolio.taxPaid - taxBefore);
+    lumpSumSeries.push(lumpApplied);
   }
 
   return {
     seed: config.monteCarlo.seed,
     years,
+    dollars: "nominal",
+    timestep: steps > 1 ? "month" : "year",
     series: {
       value: valueSeries,
       returns: returnSeries,
-      contributions: contribSeries
-    }
+      contributions: contribSeries,
+      regime: config.model.generator === "regime" ? regimeSeries : null,
+      drift: driftSeries, // max drift from target seen during the year (before any rebalance)
+      turnover: turnoverSeries, // one-way rebalancing turnover per year
+      inflation: inflationSeries, // annual inflation rate drawn for each year
+      inflationIndex: indexSeries, // year-end price level (1 = today)
+      withdrawals: withdrawalSeries, // amount actually withdrawn per year (0 before retirement)
+      allocation: allocationSeries, // year-end weights per asset
+      stress: stress ? stressSeries : null, // true for years replaying the stress scenario
+      afterTax: taxed ? afterTaxSeries : null, // year-end value if every account were cashed out
+      taxes: taxed ? taxSeries : null, // tax paid per year (dividends, realized gains, withdrawals)
+      lumpSums: lumpSumSeries // net one-off amount at the start of each year (already in contributions)
+    },
+    rebalanceCount,
+    depletedYear,
+    monthly
   };
 }
 
-export function runMonteCarloBands(config) {
-  // memory-light: store finals + per-year distribution slices
-  const runs = config.monteCarlo.runs;
+// Deterministic "expected" path: every asset earns its model mean each step (no
+// volatility, regimes or resampled history) with the same contributions, fees,
+// glide path, rebalancing and withdrawals as a random path.
+export function runExpectedPath(config) {
+  const model = { ...config.model, generator: "normal" };
+  for (const k of config.assets) model[k] = { ...model[k], vol: 0, dist: "normal" };
+  return runSinglePath({ ...config, model, inflation: { ...config.inflation, stochastic: false } });
+}
+
+// "auto" keeps every value (exact percentiles) up to this many runs
+export const AUTO_EXACT_MAX_RUNS = 5000;
+
+export function quantileMode(monteCarlo) {
+  const mode = monteCarlo.quantiles ?? "auto";
+  if (mode !== "auto") return mode;
+  return monteCarlo.runs > AUTO_EXACT_MAX_RUNS ? "streaming" : "exact";
+}
+
+export function runSeed(config, i) {
+  return (config.monteCarlo.seed + i * 1013904223) >>> 0; // deterministic seed stream
+}
+
+// Simulate runs [from, to) of the seed stream and collect their (unsorted)
+// per-year values. Split ranges can be collected anywhere (e.g. in workers)
+// and combined with mergeMonteCarlo; the result does not depend on the split.
+// In streaming mode the per-year buckets are t-digests instead of arrays.
+export function collectMonteCarloRuns(config, from, to, onProgress = null) {
   const years = config.horizonYears;
+  const streaming = quantileMode(config.monteCarlo) === "streaming";
+  const newBucket = streaming ? () => createDigest() : () => [];
+  const add = streaming ? digestAdd : (bucket, x) => bucket.push(x);
 
   // Each year we collect all values across runs to compute percentiles
-  const yearlyBuckets = Array.from({ length: years }, () => []);
+  const yearlyBuckets = Array.from({ length: years }, newBucket);
 
   const finals = [];
 
-  for (let i = 0; i < runs; i++) {
-    const seed = (config.monteCarlo.seed + i * 1013904223) >>> 0; // deterministic seed stream
-    const path = runSinglePath({ ...config, monteCarlo: { ...config.monteCarlo, seed } });
+  // retirement: spending per year across runs + the year each depleted run ran dry
+  const retirement = config.withdrawal?.enabled
+    ? { spendingBuckets: Array.from({ length: years }, newBucket), depletionYears: [] }
+    : null;
+
+  // goal: each run's value in the goal year + the first year it reached the target
+  const goal = config.goal?.enabled ? { valuesAtYear: [], firstHitYears: [] } : null;
+
+  const every = Math.max(1, Math.floor((to - from) / 50));
+
+  for (let i = from; i < to; i++) {
+    const seed = runSeed(config, i);
+    const path = inReportingDollars(config, runSinglePath({ ...config, monteCarlo: { ...config.monteCarlo, seed } }));
+
+    for (let y = 0; y < years; y++) add(yearlyBuckets[y], path.series.value[y]);
+    finals.push(path.series.value[years - 1]); // finals stay exact: one value per run
+
+    if (retirement) {
+      for (let y = 0; y < years; y++) add(retirement.spendingBuckets[y], path.series.withdrawals[y]);
+      if (path.depletedYear !== null) retirement.depletionYears.push(path.depletedYear);
+    }
+
+    if (goal) {
+      goal.valuesAtYear.push(path.series.value[config.goal.year - 1]);
+      const hit = path.series.value.findIndex((v) => v >= config.goal.target);
+      if (hit !== -1) goal.firstHitYears.push(hit + 1);
+    }
 
-    for (let y = 0; y < years; y++) yearlyBuckets[y].push(path.series.value[y]);
-    finals.push(path.series.value[years - 1]);
+    const done = i - from + 1;
+    if (onProgress && (done % every === 0 || i === to - 1)) onProgress(done);
   }
 
-  // sort buckets for percentile extraction
-  for (let y = 0; y < years; y++) yearlyBuckets[y].sort((a, b) => a - b);
-  finals.sort((a, b) => a - b);
+  return { yearlyBuckets, finals, retirement, goal };
+}
+
+// Combine collected parts (in any order) into the sorted Monte Carlo result
+export function mergeMonteCarlo(config, parts) {
+  const runs = config.monteCarlo.runs;
+  const years = config.horizonYears;
+  const quantiles = quantileMode(config.monteCarlo);
+  const byAsc = (a, b) => a - b;
+
+  // exact buckets are concatenated then sorted for percentile extraction; digests merge directly
+  const combine =
+    quantiles === "streaming"
+      ? (buckets) => mergeDigests(buckets)
+      : (buckets) => buckets.flat().sort(byAsc);
 
-  return { runs, years, yearlyBuckets, finals };
+  const yearlyBuckets = Array.from({ length: years }, (_, y) => combine(parts.map((p) => p.yearlyBuckets[y])));
+  const finals = parts.flatMap((p) => p.finals).sort(byAsc);
+  const retirement = config.withdrawal?.enabled
+    ? {
+        spendingBuckets: Array.from({ length: years }, (_, y) => combine(parts.map((p) => p.retirement.spendingBuckets[y]))),
+        depletionYears: parts.flatMap((p) => p.retirement.depletionYears).sort(byAsc)
+      }
+    : null;
+  const goal = config.goal?.enabled
+    ? {
+        valuesAtYear: parts.flatMap((p) => p.goal.valuesAtYear).sort(byAsc),
+        firstHitYears: parts.flatMap((p) => p.goal.firstHitYears).sort(byAsc)
+      }
+    : null;
+
+  return { runs, years, dollars: isReal(config) ? "real" : "nominal", quantiles, yearlyBuckets, finals, retirement, goal };
+}
+
+export function runMonteCarloBands(config) {
+  // synchronous: one part covering the whole seed stream
+  return mergeMonteCarlo(config, [collectMonteCarloRuns(config, 0, config.monteCarlo.runs)]);
 }
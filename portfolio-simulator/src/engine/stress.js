@@ -0,0 +1,53 @@
+import { HISTORICAL_RETURNS } from "../data/historical-returns.js";
+import { STRESS_SCENARIOS } from "../data/stress-scenarios.js";
+import { assetIds, assetInfo } from "../config/assets.js";
+
+// Assets without history take the stocks return (growth) or the bonds return (defensive)
+function shockReturns(ids, row) {
+  const byAsset = Object.fromEntries(HISTORICAL_RETURNS.assets.map((k, i) => [k, row[i + 1]]));
+  return Object.fromEntries(
+    ids.map((k) => [k, byAsset[k] ?? (assetInfo(k).class === "growth" ? byAsset.stocks : byAsset.bonds)])
+  );
+}
+
+// The active shock sequence, or null. shockFor(year) gives that simulation
+// year's { returns, inflation } while the sequence is replaying, else null.
+export function stressSequence(config) {
+  if (!config.stress?.enabled) return null;
+  const scenario = STRESS_SCENARIOS[config.stress.scenario];
+  const rows = HISTORICAL_RETURNS.rows.filter(([year]) => year >= scenario.from && year <= scenario.to);
+  const ids = assetIds(config);
+  const start = config.stress.startYear;
+
+  return {
+    startYear: start,
+    length: rows.length,
+    shockFor(year) {
+      const i = year - start;
+      if (i < 0 || i >= rows.length) return null;
+      return { returns: shockReturns(ids, rows[i]), inflation: scenario.inflation[i] };
+    }
+  };
+}
+
+// Replaces the generator's draws during shock years. The underlying draws are
+// still taken, so years outside the shock match the unstressed path exactly.
+export function withStress(generator, sequence, steps) {
+  let year = 0;
+  let stepReturns = null;
+
+  return {
+    nextYear() {
+      const regime = generator.nextYear();
+      const shock = sequence.shockFor(++year);
+      stepReturns = shock
+        ? Object.fromEntries(Object.entries(shock.returns).map(([k, r]) => [k, Math.pow(1 + r, 1 / steps) - 1]))
+        : null;
+      return regime;
+    },
+    draw() {
+      const drawn = generator.draw();
+      return stepReturns ? { ...stepReturns } : drawn;
+    }
+  };
+}
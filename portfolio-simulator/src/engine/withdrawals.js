@@ -0,0 +1,61 @@
+import { clamp } from "../core/math.js";
+
+export function isRetired(config, year) {
+  return !!config.withdrawal?.enabled && year >= config.withdrawal.startYear;
+}
+
+// Stateful spending rule for one path. next() is called once at the start of
+// every retirement year with the portfolio value at that point and returns the
+// nominal amount to withdraw over the year.
+//   fixed:        rate x starting value, then raised with inflation (constant real spending)
+//   guardrails:   Guyton-Klinger — inflation raises (skipped after a losing year when
+//                 above the initial rate), cut/raise by `adjustment` outside +/- `guardrail`
+//   vpw:          variable percentage: amortize the balance over the remaining years
+//   floorCeiling: rate x current value, kept within [floor, ceiling] x initial real spending
+export function createWithdrawalPlan(config) {
+  const w = config.withdrawal;
+  const lastYear = config.horizonYears;
+
+  let initialSpend = 0;
+  let initialIndex = 1;
+  let spend = 0;
+
+  return function next({ year, value, priceIndex, lastReturn, lastInflation }) {
+    const first = year === w.startYear;
+    if (first) {
+      initialSpend = w.rate * value;
+      initialIndex = priceIndex;
+      spend = initialSpend;
+      if (w.strategy !== "vpw") return spend;
+    }
+
+    const realBase = initialSpend * (priceIndex / initialIndex);
+
+    switch (w.strategy) {
+      case "guardrails": {
+        const currentRate = value > 0 ? spend / value : Infinity;
+        if (!(lastReturn < 0 && currentRate > w.rate)) spend *= 1 + lastInflation;
+
+        const rate = value > 0 ? spend / value : Infinity;
+        if (rate > w.rate * (1 + w.guardrail)) spend *= 1 - w.adjustment;
+        else if (rate < w.rate * (1 - w.guardrail)) spend *= 1 + w.adjustment;
+        return spend;
+      }
+      case "vpw": {
+        const n = lastYear - year + 1;
+        const r = w.vpwReturn;
+        // annuity-due payment: withdrawals come out at the start of each year
+        const pct = r === 0 ? 1 / n : r / ((1 + r) * (1 - Math.pow(1 + r, -n)));
+        spend = value * pct;
+        return spend;
+      }
+      case "floorCeiling":
+        spend = clamp(w.rate * value, w.floor * realBase, w.ceiling * realBase);
+        return spend;
+      case "fixed":
+      default:
+        spend = realBase;
+        return spend;
+    }
+  };
+}
@@ -0,0 +1,102 @@
+import { ASSET_CATALOG, assetIds, assetInfo } from "../config/assets.js";
+
+const el = (id) => document.getElementById(id);
+
+const DIST_OPTIONS = [
+  ["normal", "Normal"],
+  ["lognormal", "Lognormal"],
+  ["t", "Student-t (fat tails)"],
+  ["skewt", "Skewed-t"]
+];
+
+function pct(x) {
+  return Math.round(x * 1000) / 10;
+}
+
+function assetCard(id, weight, model) {
+  const info = assetInfo(id);
+  const dist = DIST_OPTIONS.map(
+    ([value, label]) => `<option value="${value}"${value === model.dist ? " selected" : ""}>${label}</option>`
+  ).join("");
+
+  return `
+    <div class="asset-card" data-asset="${id}">
+      <div class="asset-head">
+        <div class="asset-left">
+          <div class="icon">${info.icon}</div>
+          <div>
+            <div class="asset-name">${info.label}</div>
+            <div class="asset-note">${info.note}</div>
+          </div>
+        </div>
+        <div class="asset-right">
+          <span id="${id}Val">${Math.round(weight * 100)}</span>%
+          <button class="asset-remove" data-remove="${id}" aria-label="Remove ${info.label}">×</button>
+        </div>
+      </div>
+      <input type="range" id="${id}Range" min="0" max="100" value="${Math.round(weight * 100)}" />
+      <div class="asset-model">
+        <div class="field"><span class="prefix">μ</span><input type="number" id="${id}Mean" value="${pct(model.mean)}" step="0.1" aria-label="${info.label} mean return %" /></div>
+        <div class="field"><span class="prefix">σ</span><input type="number" id="${id}Vol" value="${pct(model.vol)}" min="0" step="0.1" aria-label="${info.label} volatility %" /></div>
+        <select id="${id}Dist" class="dist-select" aria-label="${info.label} return distribution">${dist}</select>
+      </div>
+    </div>`;
+}
+
+// Cards for every asset in config.assets (weight slider + its own return model)
+export function renderAssetCards(config) {
+  const cards = el("assetCards");
+  if (!cards) return;
+
+  const ids = assetIds(config);
+  cards.innerHTML = ids.map((k) => assetCard(k, config.allocation[k] ?? 0, config.model[k])).join("");
+  for (const btn of cards.querySelectorAll("[data-remove]")) btn.disabled = ids.length === 1;
+
+  const add = el("addAssetSelect");
+  if (add) {
+    const available = Object.keys(ASSET_CATALOG).filter((k) => !ids.includes(k));
+    add.innerHTML = available.map((k) => `<option value="${k}">${ASSET_CATALOG[k].label}</option>`).join("");
+    add.disabled = !available.length;
+    if (el("addAsset")) el("addAsset").disabled = !available.length;
+  }
+
+  renderAllocationBar(config);
+}
+
+// Slider % per asset, straight from the inputs (not normalized)
+export function readAllocationPct(config) {
+  return Object.fromEntries(assetIds(config).map((k) => [k, parseInt(el(`${k}Range`)?.value ?? 0, 10)]));
+}
+
+export function setAllocationPct(config, pctById) {
+  for (const k of assetIds(config)) {
+    const range = el(`${k}Range`);
+    if (range) range.value = Math.round(pctById[k] ?? 0);
+  }
+  renderAllocationBar(config);
+}
+
+// Bar, per-card %, total and risk meter (weighted volatility) from the current sliders
+export function renderAllocationBar(config) {
+  const ids = assetIds(config);
+  const pcts = readAllocationPct(config);
+  const total = ids.reduce((s, k) => s + pcts[k], 0);
+
+  for (const k of ids) {
+    const val = el(`${k}Val`);
+    if (val) val.textContent = pcts[k];
+  }
+  if (el("allocTotal")) el("allocTotal").textContent = total;
+
+  const bar = el("allocBar");
+  if (bar) {
+    bar.innerHTML = ids
+      .map((k) => `<div class="alloc-fill" style="width:${pcts[k]}%;background:${assetInfo(k).color}"></div>`)
+      .join("");
+  }
+
+  const vol = ids.reduce((s, k) => s + (pcts[k] / 100) * (parseFloat(el(`${k}Vol`)?.value) || 0), 0);
+  const risk = Math.min(100, (vol / 20) * 100); // 20% weighted vol = full meter
+  if (el("riskFill")) el("riskFill").style.width = `${risk}%`;
+  if (el("riskLabel")) el("riskLabel").textContent = risk < 35 ? "Low" : risk < 70 ? "Medium" : "High";
+}
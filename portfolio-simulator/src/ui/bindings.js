@@ -1,4 +1,7 @@
 import { normalizeAllocation } from "../core/validation.js";
+import { assetIds } from "../config/assets.js";
+import { readAllocationPct } from "./assets.js";
+import { renderSchedule, readSchedule } from "./schedule.js";
 
 const el = (id) => document.getElementById(id);
 
@@ -7,47 +10,420 @@ export function readConfigFromUI(baseConfig) {
   const monthlyContribution = parseFloat(el("monthlyContribution")?.value ?? baseConfig.monthlyContribution);
   const horizonYears = parseInt(el("years")?.value ?? baseConfig.horizonYears, 10);
 
-  // Allocation % integers from hidden inputs
-  const sPct = parseInt(el("stocks")?.value ?? 70, 10);
-  const bPct = parseInt(el("bonds")?.value ?? 20, 10);
-  const cPct = parseInt(el("cash")?.value ?? 10, 10);
+  // Contribution schedule (increase as %, lump sums and pauses from the schedule rows)
+  const contributions = {
+    ...baseConfig.contributions,
+    escalation: parseFloat(el("contribEscalation")?.value ?? baseConfig.contributions.escalation * 100) / 100,
+    ...(el("lumpSumRows") && readSchedule())
+  };
 
-  const allocation = normalizeAllocation({
-    stocks: sPct / 100,
-    bonds: bPct / 100,
-    cash: cPct / 100
-  });
+  // Allocation % integers from the asset card sliders
+  const ids = assetIds(baseConfig);
+  const pcts = readAllocationPct(baseConfig);
+  const allocation = normalizeAllocation(Object.fromEntries(ids.map((k) => [k, pcts[k] / 100])), ids);
 
   // Monte Carlo controls
   const mcEnabled = !!el("mcEnabled")?.checked;
   const mcRuns = parseInt(el("mcRuns")?.value ?? baseConfig.monteCarlo.runs, 10);
   const mcSeed = parseInt(el("mcSeed")?.value ?? baseConfig.monteCarlo.seed, 10);
+  const mcQuantiles = el("mcQuantiles")?.value ?? baseConfig.monteCarlo.quantiles;
+  const percentiles = el("mcPercentiles") ? parseLevels(el("mcPercentiles").value) : baseConfig.monteCarlo.percentiles;
+  const varLevels = el("varLevels") ? parseLevels(el("varLevels").value) : baseConfig.monteCarlo.varLevels;
+
+  // Rebalancing
+  const rebalance = {
+    ...baseConfig.rebalance,
+    enabled: !!el("rebalanceEnabled")?.checked,
+    frequency: el("rebalanceFrequency")?.value ?? baseConfig.rebalance.frequency,
+    band: parseFloat(el("rebalanceBand")?.value ?? baseConfig.rebalance.band * 100) / 100
+  };
+
+  // Inflation (rates entered as %)
+  const inflation = {
+    ...baseConfig.inflation,
+    enabled: !!el("inflationEnabled")?.checked,
+    rate: parseFloat(el("inflationRate")?.value ?? baseConfig.inflation.rate * 100) / 100,
+    stochastic: (el("inflationModel")?.value ?? "fixed") === "stochastic",
+    vol: parseFloat(el("inflationVol")?.value ?? baseConfig.inflation.vol * 100) / 100,
+    real: !!el("showReal")?.checked
+  };
+
+  // Account taxes (split and rates entered as %)
+  const percent = (id, fallback) => parseFloat(el(id)?.value ?? fallback * 100) / 100;
+  const taxBase = baseConfig.tax;
+  const tax = {
+    ...taxBase,
+    enabled: !!el("taxEnabled")?.checked,
+    split: {
+      taxable: percent("taxTaxable", taxBase.split.taxable),
+      traditional: percent("taxTraditional", taxBase.split.traditional),
+      roth: percent("taxRoth", taxBase.split.roth)
+    },
+    dividendYield: percent("taxDividendYield", taxBase.dividendYield),
+    dividendRate: percent("taxDividendRate", taxBase.dividendRate),
+    capitalGainsRate: percent("taxCapitalGains", taxBase.capitalGainsRate),
+    incomeRate: percent("taxIncome", taxBase.incomeRate)
+  };
+
+  // Retirement withdrawals
+  const withdrawal = {
+    ...baseConfig.withdrawal,
+    enabled: !!el("wdEnabled")?.checked,
+    startYear: parseInt(el("wdStartYear")?.value ?? baseConfig.withdrawal.startYear, 10),
+    strategy: el("wdStrategy")?.value ?? baseConfig.withdrawal.strategy,
+    rate: parseFloat(el("wdRate")?.value ?? baseConfig.withdrawal.rate * 100) / 100
+  };
+
+  // Goal (Monte Carlo target)
+  const goal = {
+    ...baseConfig.goal,
+    enabled: !!el("goalEnabled")?.checked,
+    target: parseFloat(el("goalTarget")?.value ?? baseConfig.goal.target),
+    year: parseInt(el("goalYear")?.value ?? baseConfig.goal.year, 10)
+  };
+
+  // Stress test (crisis replay)
+  const stress = {
+    ...baseConfig.stress,
+    enabled: !!el("stressEnabled")?.checked,
+    scenario: el("stressScenario")?.value ?? baseConfig.stress.scenario,
+    startYear: parseInt(el("stressStartYear")?.value ?? baseConfig.stress.startYear, 10)
+  };
+
+  // Sensitivity steps (entered as %)
+  const sensBase = baseConfig.sensitivity;
+  const sensitivity = {
+    ...sensBase,
+    runs: parseInt(el("sensRuns")?.value ?? sensBase.runs, 10),
+    steps: {
+      mean: percent("sensMean", sensBase.steps.mean),
+      vol: percent("sensVol", sensBase.steps.vol),
+      contribution: percent("sensContribution", sensBase.steps.contribution),
+      fees: percent("sensFees", sensBase.steps.fees),
+      inflation: percent("sensInflation", sensBase.steps.inflation),
+      allocation: percent("sensAllocation", sensBase.steps.allocation)
+    }
+  };
+
+  // Glide path (percent inputs -> decimals)
+  const glidePath = {
+    ...baseConfig.glidePath,
+    type: el("glideType")?.value ?? baseConfig.glidePath.type,
+    endYear: parseInt(el("glideEndYear")?.value ?? baseConfig.glidePath.endYear, 10),
+    end: el("glideEndMix") ? parseMix(el("glideEndMix").value, ids) : baseConfig.glidePath.end,
+    targetYear: parseInt(el("glideTargetYear")?.value ?? baseConfig.glidePath.targetYear, 10),
+    table: el("glideTable") ? parseGlideTable(el("glideTable").value, ids) : baseConfig.glidePath.table
+  };
 
   // Resolution
   const timestep = el("timestep")?.value ?? baseConfig.timestep;
 
+  // Risk-free rate for Sharpe / Sortino (as %)
+  const riskFreeRate = parseFloat(el("riskFreeRate")?.value ?? baseConfig.riskFreeRate * 100) / 100;
+
+  // Return generator
+  const generator = el("marketModel")?.value ?? baseConfig.model.generator;
+  const blockSize = parseInt(el("bootstrapBlock")?.value ?? baseConfig.model.bootstrap.blockSize, 10);
+
+  // Return model per asset (mean/vol as %) + shared fat-tail shape
+  const assetModels = {};
+  for (const k of ids) {
+    const base = baseConfig.model[k];
+    assetModels[k] = {
+      ...base,
+      mean: parseFloat(el(`${k}Mean`)?.value ?? base.mean * 100) / 100,
+      vol: parseFloat(el(`${k}Vol`)?.value ?? base.vol * 100) / 100,
+      dist: el(`${k}Dist`)?.value ?? base.dist
+    };
+  }
+  const tails = {
+    df: parseFloat(el("tailDf")?.value ?? baseConfig.model.tails.df),
+    skew: parseFloat(el("tailSkew")?.value ?? baseConfig.model.tails.skew)
+  };
+
   return {
     ...baseConfig,
     startBalance,
     monthlyContribution,
+    contributions,
     horizonYears,
     allocation,
+    rebalance,
+    inflation,
+    tax,
+    withdrawal,
+    goal,
+    stress,
+    sensitivity,
+    glidePath,
     timestep,
+    riskFreeRate,
+    model: {
+      ...baseConfig.model,
+      ...assetModels,
+      tails,
+      generator,
+      bootstrap: { ...baseConfig.model.bootstrap, blockSize }
+    },
     monteCarlo: {
       ...baseConfig.monteCarlo,
       enabled: mcEnabled,
       runs: mcRuns,
-      seed: mcSeed
+      seed: mcSeed,
+      quantiles: mcQuantiles,
+      varLevels,
+      percentiles
     }
   };
 }
 
+const setValue = (id, value) => {
+  if (el(id)) el(id).value = value;
+};
+const setChecked = (id, on) => {
+  if (el(id)) el(id).checked = !!on;
+};
+const pct = (x) => Math.round(x * 10000) / 100;
+
+// Inverse of readConfigFromUI for everything outside the asset cards
+// (renderAssetCards draws weights and per-asset models from the config)
+export function writeConfigToUI(config) {
+  const ids = assetIds(config);
+
+  setValue("startingBalance", config.startBalance);
+  setValue("monthlyContribution", config.monthlyContribution);
+  setValue("contribEscalation", pct(config.contributions.escalation));
+  renderSchedule(config.contributions);
+  setValue("years", config.horizonYears);
+  setValue("yearsRange", config.horizonYears);
+  if (el("yearsValue")) el("yearsValue").textContent = config.horizonYears;
+
+  setChecked("mcEnabled", config.monteCarlo.enabled);
+  setValue("mcRuns", config.monteCarlo.runs);
+  if (el("mcRunsValue")) el("mcRunsValue").textContent = config.monteCarlo.runs;
+  setValue("mcSeed", config.monteCarlo.seed);
+  setValue("mcQuantiles", config.monteCarlo.quantiles);
+  setValue("varLevels", config.monteCarlo.varLevels.map(pct).join(", "));
+  setValue("mcPercentiles", config.monteCarlo.percentiles.map(pct).join(", "));
+  setValue("timestep", config.timestep);
+  setValue("riskFreeRate", pct(config.riskFreeRate));
+
+  setValue("marketModel", config.model.generator);
+  setValue("bootstrapBlock", config.model.bootstrap.blockSize);
+  setValue("tailDf", config.model.tails.df);
+  setValue("tailSkew", config.model.tails.skew);
+
+  setChecked("rebalanceEnabled", config.rebalance.enabled);
+  setValue("rebalanceFrequency", config.rebalance.frequency);
+  setValue("rebalanceBand", pct(config.rebalance.band));
+
+  setChecked("inflationEnabled", config.inflation.enabled);
+  setValue("inflationRate", pct(config.inflation.rate));
+  setValue("inflationModel", config.inflation.stochastic ? "stochastic" : "fixed");
+  setValue("inflationVol", pct(config.inflation.vol));
+  setChecked("showReal", config.inflation.real);
+
+  setChecked("taxEnabled", config.tax.enabled);
+  setValue("taxTaxable", pct(config.tax.split.taxable));
+  setValue("taxTraditional", pct(config.tax.split.traditional));
+  setValue("taxRoth", pct(config.tax.split.roth));
+  setValue("taxDividendYield", pct(config.tax.dividendYield));
+  setValue("taxDividendRate", pct(config.tax.dividendRate));
+  setValue("taxCapitalGains", pct(config.tax.capitalGainsRate));
+  setValue("taxIncome", pct(config.tax.incomeRate));
+
+  setChecked("wdEnabled", config.withdrawal.enabled);
+  setValue("wdStartYear", config.withdrawal.startYear);
+  setValue("wdStrategy", config.withdrawal.strategy);
+  setValue("wdRate", pct(config.withdrawal.rate));
+
+  setChecked("goalEnabled", config.goal.enabled);
+  setValue("goalTarget", config.goal.target);
+  setValue("goalYear", config.goal.year);
+
+  setChecked("stressEnabled", config.stress.enabled);
+  setValue("stressScenario", config.stress.scenario);
+  setValue("stressStartYear", config.stress.startYear);
+
+  setValue("sensRuns", config.sensitivity.runs);
+  setValue("sensMean", pct(config.sensitivity.steps.mean));
+  setValue("sensVol", pct(config.sensitivity.steps.vol));
+  setValue("sensContribution", pct(config.sensitivity.steps.contribution));
+  setValue("sensFees", pct(config.sensitivity.steps.fees));
+  setValue("sensInflation", pct(config.sensitivity.steps.inflation));
+  setValue("sensAllocation", pct(config.sensitivity.steps.allocation));
+
+  setValue("glideType", config.glidePath.type);
+  setValue("glideEndYear", config.glidePath.endYear);
+  setValue("glideEndMix", formatMix(config.glidePath.end, ids));
+  setValue("glideTargetYear", config.glidePath.targetYear);
+  setValue("glideTable", formatGlideTable(config.glidePath.table, ids));
+}
+
+export function formatMix(mix, ids) {
+  return ids.map((k) => pct(mix[k] ?? 0)).join("/");
+}
+
+export function formatGlideTable(table, ids) {
+  return table.map((row) => `${row.year}: ${formatMix(row, ids)}`).join("\n");
+}
+
+// "95, 99" -> [0.95, 0.99] (VaR levels, fan percentiles); junk becomes NaN so validation flags it
+export function parseLevels(text) {
+  return text
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map((x) => Number(x) / 100);
+}
+
+// "a/b/c" percentages in asset order -> { [assetId]: decimal }; a wrong count
+// gives NaN weights so validation flags it
+export function parseMix(text, ids) {
+  const parts = text.split("/").map((x) => x.trim());
+  return Object.fromEntries(
+    ids.map((k, i) => [k, parts.length === ids.length && parts[i] !== "" ? Number(parts[i]) / 100 : NaN])
+  );
+}
+
+// "year: a/b/c" per line (percent, asset order). Malformed lines become NaN rows
+// so validation can point at them instead of silently dropping them.
+export function parseGlideTable(text, ids) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const m = line.match(/^(\d+)\s*:\s*(.+)$/);
+      if (!m) return { year: NaN, ...parseMix("", ids) };
+      return { year: parseInt(m[1], 10), ...parseMix(m[2], ids) };
+    });
+}
+
+export function onAllocationInput(fn) {
+  el("assetCards")?.addEventListener("input", fn);
+}
+
+export function onAssetRemoved(fn) {
+  el("assetCards")?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-remove]");
+    if (btn) fn(btn.dataset.remove);
+  });
+}
+
+export function onAssetAdded(fn) {
+  el("addAsset")?.addEventListener("click", () => {
+    const id = el("addAssetSelect")?.value;
+    if (id) fn(id);
+  });
+}
+
+// fn(kind) with kind "lumpSums" or "pauses"
+export function onScheduleRowAdded(fn) {
+  el("addLumpSum")?.addEventListener("click", () => fn("lumpSums"));
+  el("addPause")?.addEventListener("click", () => fn("pauses"));
+}
+
+// fn(kind, index) for the row whose remove button was clicked
+export function onScheduleRowRemoved(fn) {
+  for (const [id, kind] of [["lumpSumRows", "lumpSums"], ["pauseRows", "pauses"]]) {
+    el(id)?.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-remove-row]");
+      if (btn) fn(kind, parseInt(btn.dataset.removeRow, 10));
+    });
+  }
+}
+
+export function onPresetClicked(fn) {
+  for (const chip of document.querySelectorAll("[data-preset]")) {
+    chip.addEventListener("click", () => fn(chip.dataset.preset));
+  }
+}
+
+// The slider drives the hidden #years input that readConfigFromUI reads
+export function bindYearsRange() {
+  el("yearsRange")?.addEventListener("input", () => {
+    setValue("years", el("yearsRange").value);
+    if (el("yearsValue")) el("yearsValue").textContent = el("yearsRange").value;
+  });
+}
+
+export function onShareClicked(fn) {
+  el("shareLink")?.addEventListener("click", fn);
+}
+
+export function onScenarioSaved(fn) {
+  el("saveScenario")?.addEventListener("click", () => fn(el("scenarioName")?.value.trim() ?? ""));
+}
+
+// fn(action, id) for the load / duplicate / rename / default / delete buttons
+export function onScenarioAction(fn) {
+  el("scenarioList")?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-scenario-action]");
+    if (btn) fn(btn.dataset.scenarioAction, btn.dataset.id);
+  });
+}
+
+export function onExportScenarios(fn) {
+  el("exportScenarios")?.addEventListener("click", fn);
+}
+
+export function onImportScenarios(fn) {
+  const input = el("importScenarios");
+  input?.addEventListener("change", async () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    fn(await file.text());
+    input.value = "";
+  });
+}
+
+export function onChartViewChanged(fn) {
+  const tabs = el("chartTabs");
+  tabs?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-view]");
+    if (!btn) return;
+    for (const b of tabs.querySelectorAll("[data-view]")) b.classList.toggle("active", b === btn);
+    fn(btn.dataset.view);
+  });
+}
+
+// fn({ [option]: value }) for the chart display toggles
+export function onChartOptionChanged(fn) {
+  el("histLog")?.addEventListener("change", (e) => fn({ log: e.target.checked }));
+  el("showExpected")?.addEventListener("change", (e) => fn({ expected: e.target.checked }));
+  el("showPath")?.addEventListener("change", (e) => fn({ path: e.target.checked }));
+  el("tornadoMetric")?.addEventListener("change", (e) => fn({ tornado: e.target.value }));
+}
+
+export function onRunSensitivity(fn) {
+  el("runSensitivity")?.addEventListener("click", fn);
+}
+
 export function onRunClicked(fn) {
   el("runSimulation")?.addEventListener("click", fn);
 }
 
+export function onCancelRun(fn) {
+  el("cancelRun")?.addEventListener("click", fn);
+}
+
 export function onSaveRun(fn) {
-  el("saveRun")?.addEventListener("click", fn);
+  el("saveRun")?.addEventListener("click", () => {
+    const labelEl = el("runLabel");
+    const label = labelEl?.value.trim() ?? "";
+    if (labelEl) labelEl.value = "";
+    fn(label);
+  });
+}
+
+export function onSavedRunRemoved(fn) {
+  for (const id of ["runList", "compareSummaryTable"]) {
+    el(id)?.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-remove-run]");
+      if (btn) fn(Number(btn.dataset.removeRun));
+    });
+  }
 }
 
 export function onClearRuns(fn) {
@@ -2,7 +2,38 @@ let chart;
 
 const el = (id) => document.getElementById(id);
 
-export function renderLineChart({ labels, datasets }) {
+// Shades the x-slots flagged in `shade` (one boolean per label), e.g. crisis years
+function shadePlugin(shade, color) {
+  return {
+    id: "shadeYears",
+    beforeDatasetsDraw(c) {
+      const { ctx, chartArea, scales } = c;
+      const x = scales.x;
+      const half = labelsWidth(x) / 2;
+
+      ctx.save();
+      ctx.fillStyle = color;
+      shade.forEach((on, i) => {
+        if (!on) return;
+        const px = x.getPixelForValue(i);
+        const left = Math.max(chartArea.left, px - half);
+        const right = Math.min(chartArea.right, px + half);
+        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+      });
+      ctx.restore();
+    }
+  };
+}
+
+function labelsWidth(x) {
+  const n = x.getLabels().length;
+  return n > 1 ? Math.abs(x.getPixelForValue(1) - x.getPixelForValue(0)) : x.width;
+}
+
+// Datasets may set `hideInLegend` (e.g. the lower edge of a fan band) and
+// `legendLabel` (legend text when it differs from the tooltip label).
+// `format` formats tooltip values; the tooltip lists every dataset for the hovered year.
+export function renderLineChart({ labels, datasets, shade = null, yTitle = null, stacked = false, format = null }) {
   const ctx = el("portfolioChart")?.getContext("2d");
   if (!ctx) return;
 
@@ -11,12 +42,149 @@ export function renderLineChart({ labels, datasets }) {
   chart = new Chart(ctx, {
     type: "line",
     data: { labels, datasets },
+    plugins: shade ? [shadePlugin(shade, "rgba(176,0,32,.10)")] : [],
     options: {
       responsive: true,
-      plugins: { legend: { display: true } },
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: {
+          display: true,
+          labels: {
+            filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend,
+            generateLabels: (c) =>
+              Chart.defaults.plugins.legend.labels
+                .generateLabels(c)
+                .map((item) => ({ ...item, text: c.data.datasets[item.datasetIndex].legendLabel ?? item.text }))
+          }
+        },
+        tooltip: {
+          callbacks: format ? { label: (item) => `${item.dataset.label}: ${format(item.parsed.y)}` } : {}
+        }
+      },
       elements: { point: { radius: 0 } },
       scales: {
-        x: { grid: { display: false }, title: { display: true, text: "Year" } }
+        x: { grid: { display: false }, title: { display: true, text: "Year" } },
+        y: {
+          title: { display: !!yTitle, text: yTitle ?? "" },
+          ...(stacked && { stacked: true, min: 0, max: 100 })
+        },
+        // secondary axis for retirement spending (much smaller than balances)
+        ...(datasets.some((d) => d.yAxisID === "spending") && {
+          spending: {
+            position: "right",
+            grid: { drawOnChartArea: false },
+            title: { display: true, text: "Yearly spending" }
+          }
+        })
+      }
+    }
+  });
+}
+
+// Vertical reference lines at x values, labelled at the top of the chart area
+function markerPlugin(markers) {
+  return {
+    id: "valueMarkers",
+    afterDatasetsDraw(c) {
+      const { ctx, chartArea, scales } = c;
+      ctx.save();
+      ctx.font = "11px system-ui, sans-serif";
+      ctx.textAlign = "center";
+      markers.forEach((m, i) => {
+        const px = scales.x.getPixelForValue(m.value);
+        if (!(px >= chartArea.left && px <= chartArea.right)) return;
+        ctx.strokeStyle = m.color;
+        ctx.fillStyle = m.color;
+        ctx.setLineDash(m.dash ?? []);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(px, chartArea.top);
+        ctx.lineTo(px, chartArea.bottom);
+        ctx.stroke();
+        ctx.fillText(m.label, px, chartArea.top + 10 + (i % 2) * 12); // stagger neighbours
+      });
+      ctx.restore();
+    }
+  };
+}
+
+// Bars centered between bin edges on a numeric (optionally log) x axis
+export function renderHistogramChart({ edges, counts, markers = [], log = false, xTitle = null }) {
+  const ctx = el("portfolioChart")?.getContext("2d");
+  if (!ctx) return;
+
+  if (chart) chart.destroy();
+
+  const centers = counts.map((_, i) => (log ? Math.sqrt(edges[i] * edges[i + 1]) : (edges[i] + edges[i + 1]) / 2));
+
+  chart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      datasets: [
+        {
+          label: "Runs",
+          data: centers.map((x, i) => ({ x, y: counts[i] })),
+          backgroundColor: "rgba(43,76,126,.45)",
+          borderColor: "rgba(43,76,126,.75)",
+          borderWidth: 1,
+          barPercentage: 1,
+          categoryPercentage: 1
+        }
+      ]
+    },
+    plugins: [markerPlugin(markers)],
+    options: {
+      responsive: true,
+      plugins: { legend: { display: false } },
+      scales: {
+        x: {
+          type: log ? "logarithmic" : "linear",
+          offset: false,
+          min: edges[0],
+          max: edges[edges.length - 1],
+          grid: { display: false },
+          title: { display: !!xTitle, text: xTitle ?? "" }
+        },
+        y: { beginAtZero: true, title: { display: true, text: "Runs" } }
+      }
+    }
+  });
+}
+
+// Horizontal floating bars from the base outcome to each input's low and high
+// outcome, largest swing on top (rows arrive sorted); the base is a marker line
+export function renderTornadoChart({ labels, low, high, base, format, xTitle = null }) {
+  const ctx = el("portfolioChart")?.getContext("2d");
+  if (!ctx) return;
+
+  if (chart) chart.destroy();
+
+  const bars = (label, values, color) => ({
+    label,
+    data: values.map((v) => [base, v]),
+    backgroundColor: color,
+    borderWidth: 0,
+    barPercentage: 0.9,
+    categoryPercentage: 0.8,
+    grouped: false
+  });
+
+  chart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels,
+      datasets: [bars("Input lowered", low, "rgba(176,0,32,.55)"), bars("Input raised", high, "rgba(43,76,126,.6)")]
+    },
+    plugins: [markerPlugin([{ value: base, label: "Base", color: "rgba(31,30,28,.8)", dash: [4, 4] }])],
+    options: {
+      indexAxis: "y",
+      responsive: true,
+      plugins: {
+        tooltip: { callbacks: { label: (item) => `${item.dataset.label}: ${format(item.raw[1])}` } }
+      },
+      scales: {
+        x: { title: { display: !!xTitle, text: xTitle ?? "" }, ticks: { callback: (v) => format(v) } },
+        y: { grid: { display: false } }
       }
     }
   });
@@ -25,3 +193,7 @@ export function renderLineChart({ labels, datasets }) {
 export function buildLabels(years) {
   return Array.from({ length: years }, (_, i) => i + 1);
 }
+
+export function dollarsTitle(dollars) {
+  return dollars === "real" ? "Today's dollars" : "Nominal dollars";
+}
@@ -0,0 +1,117 @@
+import { formatMoney, formatPct } from "../core/money.js";
+import { assetIds } from "../config/assets.js";
+import { escapeHtml } from "./html.js";
+
+const el = (id) => document.getElementById(id);
+
+export const MAX_SAVED_RUNS = 3;
+const RUN_COLORS = ["rgba(176,106,0,.85)", "rgba(106,27,154,.80)", "rgba(0,121,107,.85)"];
+
+let nextRunId = 1;
+
+function allocationText(config) {
+  return assetIds(config)
+    .map((k) => Math.round((config.allocation[k] ?? 0) * 100))
+    .join("/");
+}
+
+// Snapshot of the current result; the color is the first one no saved run is using
+export function createSavedRun(state, label, saved) {
+  const { config, result, bands, mc } = state;
+  const used = new Set(saved.map((r) => r.color));
+
+  return {
+    id: nextRunId++,
+    label: label || `Run ${saved.length + 1}`,
+    color: RUN_COLORS.find((c) => !used.has(c)) ?? RUN_COLORS[0],
+    config,
+    metrics: result.metrics,
+    bands,
+    dollars: mc?.dollars ?? result.path.dollars,
+    values: result.path.series.value // single-path overlay when there are no bands
+  };
+}
+
+// Line per saved run for the growth chart: its median band, else its single path
+export function savedRunOverlays(runs) {
+  return runs.map((r) => ({
+    label: r.bands ? `${r.label} (P50)` : r.label,
+    data: r.bands ? r.bands.p50 : r.values,
+    color: r.color
+  }));
+}
+
+export function renderRunList(runs) {
+  const list = el("runList");
+  if (!list) return;
+
+  list.innerHTML = runs
+    .map(
+      (r) => `
+    <div class="run-item">
+      <div class="run-meta">
+        <span class="dot" style="background:${r.color}"></span>
+        <div>
+          <div class="run-name">${escapeHtml(r.label)}</div>
+          <div class="run-desc">${allocationText(r.config)} · ${r.config.horizonYears} yrs · ${
+            r.bands ? `${r.config.monteCarlo.runs} MC runs` : "single path"
+          } · ${r.dollars}</div>
+        </div>
+      </div>
+      <button class="run-remove" data-remove-run="${r.id}">Remove</button>
+    </div>`
+    )
+    .join("");
+
+  if (el("saveRun")) el("saveRun").disabled = runs.length >= MAX_SAVED_RUNS;
+}
+
+// Value plus its difference to the first (baseline) run
+function withDiff(value, base, format) {
+  if (value === null) return "-";
+  if (base === null) return format(value);
+  const d = value - base;
+  if (Math.abs(d) < 1e-9) return format(value);
+  return `${format(value)} <span class="mono">(${d > 0 ? "+" : "−"}${format(Math.abs(d))})</span>`;
+}
+
+const COLUMNS = [
+  ["finalValue", formatMoney],
+  ["invested", formatMoney],
+  ["gains", formatMoney],
+  ["irr", formatPct],
+  ["bestYear", formatPct],
+  ["worstYear", formatPct]
+];
+
+export function renderCompareTable(runs) {
+  const wrap = el("compareSummaryWrap");
+  const body = el("compareSummaryTable")?.querySelector("tbody");
+  if (!body) return;
+
+  wrap?.classList.toggle("hidden", !runs.length);
+  const base = runs[0];
+
+  body.innerHTML = runs
+    .map((r, i) => {
+      const cells = COLUMNS.map(
+        ([key, format]) => `<td>${withDiff(r.metrics[key], i ? base.metrics[key] ?? null : null, format)}</td>`
+      ).join("");
+      const median = r.bands ? r.bands.p50[r.bands.p50.length - 1] : null;
+      const baseMedian = base.bands ? base.bands.p50[base.bands.p50.length - 1] : null;
+
+      return `
+      <tr>
+        <td><span class="run-badge"><span class="run-dot" style="background:${r.color}"></span>${escapeHtml(r.label)}</span>${
+          i ? "" : ` <span class="mono">baseline</span>`
+        }</td>
+        <td class="mono">${allocationText(r.config)}</td>
+        <td>${r.config.horizonYears}</td>
+        ${cells}
+        <td>${withDiff(r.metrics.maxDrawdown, i ? base.metrics.maxDrawdown : null, formatPct)}</td>
+        <td>${median === null ? "-" : withDiff(median, i && baseMedian !== null ? baseMedian : null, formatMoney)}</td>
+        <td><button class="run-remove" data-remove-run="${r.id}">×</button></td>
+      </tr>`;
+    })
+    .join("");
+}
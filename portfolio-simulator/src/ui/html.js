@@ -0,0 +1,4 @@
+// For user-entered text (labels, scenario names) placed in innerHTML
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
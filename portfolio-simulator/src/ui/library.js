@@ -0,0 +1,45 @@
+import { escapeHtml } from "./html.js";
+
+const el = (id) => document.getElementById(id);
+
+const ACTIONS = [
+  ["load", "Load"],
+  ["duplicate", "Duplicate"],
+  ["rename", "Rename"],
+  ["default", "Default"],
+  ["delete", "Delete"]
+];
+
+export function renderScenarioList(library) {
+  const list = el("scenarioList");
+  if (!list) return;
+
+  list.innerHTML = library.scenarios
+    .map((s) => {
+      const isDefault = s.id === library.defaultId;
+      const buttons = ACTIONS.map(
+        ([action, label]) =>
+          `<button class="run-remove" data-scenario-action="${action}" data-id="${s.id}">${
+            action === "default" && isDefault ? "Unset default" : label
+          }</button>`
+      ).join("");
+
+      return `
+    <div class="run-item">
+      <div>
+        <div class="run-name">${escapeHtml(s.name)}${isDefault ? ` <span class="mono">default</span>` : ""}</div>
+        <div class="run-desc">Saved ${new Date(s.updatedAt).toLocaleString()}</div>
+      </div>
+      <div class="scenario-actions">${buttons}</div>
+    </div>`;
+    })
+    .join("");
+
+  const n = library.scenarios.length;
+  if (el("scenarioCount")) el("scenarioCount").textContent = `${n} saved`;
+  if (el("exportScenarios")) el("exportScenarios").disabled = !n;
+}
+
+export function setScenarioStatus(text) {
+  if (el("scenarioStatus")) el("scenarioStatus").textContent = text;
+}
@@ -1,28 +1,192 @@
 import { formatMoney, formatPct } from "../core/money.js";
-import { buildLabels, renderLineChart } from "./charts.js";
+import { buildLabels, renderLineChart, renderHistogramChart, renderTornadoChart, dollarsTitle } from "./charts.js";
+import { histogram, binCountFor, bandKey } from "../analytics/distribution.js";
+import { percentile } from "../core/math.js";
+import { assetInfo } from "../config/assets.js";
 
 const el = (id) => document.getElementById(id);
 
 export function renderSummary(metrics) {
   // existing IDs from your UI
   el("finalValue").textContent = formatMoney(metrics.finalValue);
-  el("totalContributions").textContent = formatMoney(metrics.contributions);
+  el("totalContributions").textContent =
+    `${formatMoney(metrics.invested)} (${formatMoney(metrics.invested - metrics.contributions)} start + ` +
+    `${formatMoney(metrics.contributions)} contributions)`;
   el("totalGains").textContent = formatMoney(metrics.gains);
 
+  const afterTaxEl = el("afterTax");
+  if (afterTaxEl) {
+    afterTaxEl.textContent =
+      metrics.afterTaxValue === null
+        ? "-"
+        : `${formatMoney(metrics.afterTaxValue)} if cashed out · ${formatMoney(metrics.totalTax)} tax paid`;
+  }
+
+  const rates = el("returnRates");
+  if (rates) rates.textContent = `${metrics.irr === null ? "-" : formatPct(metrics.irr)} / ${formatPct(metrics.twr)} a year`;
+  if (el("cagr")) el("cagr").textContent = `${formatPct(metrics.cagr)} a year`;
+
   el("bestYear").textContent = formatPct(metrics.bestYear);
   el("worstYear").textContent = formatPct(metrics.worstYear);
 
   el("maxDrawdown").textContent = formatPct(metrics.maxDrawdown);
   el("volatility").textContent = formatPct(metrics.volatility);
 
-  // optional: add these fields to UI later if you want
-  // el("maxDrawdown").textContent = formatPct(metrics.maxDrawdown);
-  // el("volatility").textContent = formatPct(metrics.volatility);
+  const basisEl = el("summaryBasis");
+  if (basisEl) basisEl.textContent = dollarsTitle(metrics.dollars);
+
+  const retirementEl = el("retirementSummary");
+  if (retirementEl) {
+    retirementEl.textContent = !metrics.totalWithdrawn
+      ? "-"
+      : `${formatMoney(metrics.firstWithdrawal)} first year · ${formatMoney(metrics.totalWithdrawn)} withdrawn · ` +
+        (metrics.depletedYear ? `depleted in year ${metrics.depletedYear}` : "lasts the horizon");
+  }
+
+  const rebalanceEl = el("rebalanceSummary");
+  if (rebalanceEl) {
+    rebalanceEl.textContent =
+      `${metrics.rebalanceCount} rebalances · ${formatPct(metrics.turnover)} turnover · ` +
+      `${formatPct(metrics.maxDrift)} max drift`;
+  }
+
+  // downside risk (drawdown figures use the return index, not the contribution-fed balance)
+  const ratio = (x) => (Number.isFinite(x) ? x.toFixed(2) : "-");
+  if (el("riskRatios")) el("riskRatios").textContent = `${ratio(metrics.sharpeLite)} / ${ratio(metrics.sortino)}`;
+  if (el("calmar")) el("calmar").textContent = ratio(metrics.calmar);
+  if (el("ulcerIndex")) el("ulcerIndex").textContent = formatPct(metrics.ulcerIndex);
+  if (el("underWater")) {
+    el("underWater").textContent =
+      `${metrics.timeUnderWater} yrs below peak · longest recovery ${metrics.longestRecovery} yrs` +
+      (metrics.recoveredAtEnd ? "" : " (still recovering)");
+  }
+}
+
+export function renderTailRisk(tailRisk) {
+  const tailEl = el("tailRisk");
+  if (!tailEl) return;
+  if (!tailRisk?.length) {
+    tailEl.textContent = "-";
+    return;
+  }
+
+  tailEl.textContent = tailRisk
+    .map(
+      (t) =>
+        `${Math.round(t.level * 1000) / 10}%: VaR ${formatMoney(t.var)} · CVaR ${formatMoney(t.cvar)}` +
+        (t.cvarLoss > 0 ? ` (${formatMoney(t.cvarLoss)} below invested)` : "")
+    )
+    .join(" | ");
+}
+
+// fraction 0..1 while a Monte Carlo is running; null hides the bar
+export function renderProgress(fraction) {
+  const wrap = el("mcProgress");
+  if (!wrap) return;
+
+  const running = fraction !== null;
+  wrap.classList.toggle("hidden", !running);
+  if (el("runSimulation")) el("runSimulation").disabled = running;
+  if (!running) return;
+
+  const pct = Math.round(fraction * 100);
+  el("mcProgressFill").style.width = `${pct}%`;
+  el("mcProgressLabel").textContent = `${pct}%`;
+}
+
+export function renderRetirementSummary(stats) {
+  const successEl = el("successRate");
+  if (!successEl) return;
+  if (!stats) {
+    successEl.textContent = "-";
+    return;
+  }
+
+  successEl.textContent =
+    `${formatPct(stats.successRate)} of runs last · ` +
+    (stats.medianDepletionYear === null
+      ? "no run depleted"
+      : `median depletion year ${Math.round(stats.medianDepletionYear)} (${stats.depletedRuns} runs)`);
+}
+
+export function renderGoalSummary(stats) {
+  const goalEl = el("goalSummary");
+  if (!goalEl) return;
+  if (!stats) {
+    goalEl.textContent = "-";
+    return;
+  }
+
+  const { shortfall } = stats;
+  goalEl.textContent =
+    `${formatPct(stats.successRate)} reach ${formatMoney(stats.target)} by year ${stats.year} · ` +
+    (shortfall.runs
+      ? `median shortfall ${formatMoney(shortfall.p50)} (P90 ${formatMoney(shortfall.p90)}, ${shortfall.runs} runs) · `
+      : "no shortfall · ") +
+    (stats.medianFirstYear === null
+      ? "never reached"
+      : `first reached in year ${Math.round(stats.medianFirstYear)} (median)`);
+}
+
+// Flat line at the target with a marker on the goal year
+function goalDataset(goal, years) {
+  return {
+    label: `Goal (${formatMoney(goal.target)})`,
+    data: Array(years).fill(goal.target),
+    borderWidth: 2,
+    borderDash: [2, 4],
+    borderColor: "rgba(46,125,50,.8)",
+    backgroundColor: "rgba(46,125,50,.8)",
+    pointRadius: Array.from({ length: years }, (_, i) => (i + 1 === goal.year ? 5 : 0))
+  };
+}
+
+// Spending before retirement is 0; hide it so the line starts at retirement
+function retirementOnly(series, startYear) {
+  return series.map((v, i) => (i + 1 >= startYear ? v : null));
+}
+
+function spendingDataset(label, data) {
+  return {
+    label,
+    data,
+    yAxisID: "spending",
+    borderWidth: 2,
+    borderDash: [6, 4],
+    tension: 0.25,
+    borderColor: "rgba(107,79,42,.75)"
+  };
+}
+
+// Saved runs drawn as thin dashed lines in their own color
+function overlayDatasets(overlays) {
+  return overlays.map((o) => ({
+    label: o.label,
+    data: o.data,
+    borderWidth: 2,
+    borderDash: [8, 4],
+    tension: 0.25,
+    borderColor: o.color
+  }));
 }
 
-export function renderSinglePathChart(path) {
+// Overlays can run longer than the current horizon
+function chartYears(years, overlays) {
+  return Math.max(years, ...overlays.map((o) => o.data.length));
+}
+
+// Years to shade: regime-model crisis years and replayed stress-test years
+function shadedYears(series) {
+  if (!series.regime && !series.stress) return null;
+  return series.value.map((_, i) => series.regime?.[i] === "crisis" || !!series.stress?.[i]);
+}
+
+// options: retirementYear (draws spending from then on), overlays (saved runs),
+// baseline (the same run without the stress scenario), invested (starting
+// balance + net contributions to date, following the contribution schedule)
+export function renderSinglePathChart(path, { retirementYear = null, overlays = [], baseline = null, invested = null } = {}) {
   const years = path.years;
-  const labels = buildLabels(years);
+  const labels = buildLabels(chartYears(years, overlays));
 
   renderLineChart({
     labels,
@@ -33,39 +197,178 @@ export function renderSinglePathChart(path) {
         borderWidth: 3,
         tension: 0.25,
         borderColor: "rgba(31,30,28,.85)"
+      },
+      ...(invested
+        ? [{ label: "Invested", data: invested, borderWidth: 1.5, stepped: true, borderColor: "rgba(43,76,126,.6)" }]
+        : []),
+      ...(baseline
+        ? [
+            {
+              label: "Without Crisis",
+              data: baseline,
+              borderWidth: 2,
+              borderDash: [4, 4],
+              tension: 0.25,
+              borderColor: "rgba(31,30,28,.4)"
+            }
+          ]
+        : []),
+      ...(retirementYear ? [spendingDataset("Spending", retirementOnly(path.series.withdrawals, retirementYear))] : []),
+      ...overlayDatasets(overlays)
+    ],
+    yTitle: dollarsTitle(path.dollars),
+    format: formatMoney,
+    shade: shadedYears(path.series)
+  });
+}
+
+const pctLabel = (p) => bandKey(p).toUpperCase();
+
+// Nested shaded regions: percentiles below and above the median are paired
+// outermost first; each upper edge fills down to its lower edge
+function fanDatasets(bands) {
+  const lower = bands.percentiles.filter((p) => p < 0.5);
+  const upper = bands.percentiles.filter((p) => p > 0.5).reverse();
+  const pairs = Math.min(lower.length, upper.length);
+  const edge = { borderWidth: 1, tension: 0.25 };
+  const datasets = [];
+
+  for (let i = 0; i < pairs; i++) {
+    const color = `rgba(43,76,126,${(0.12 + 0.12 * i).toFixed(2)})`;
+    datasets.push(
+      { ...edge, label: pctLabel(lower[i]), data: bands[bandKey(lower[i])], borderColor: color, hideInLegend: true },
+      {
+        ...edge,
+        label: pctLabel(upper[i]),
+        legendLabel: `${pctLabel(lower[i])}–${pctLabel(upper[i])}`,
+        data: bands[bandKey(upper[i])],
+        borderColor: color,
+        backgroundColor: color,
+        fill: "-1"
       }
-    ]
+    );
+  }
+
+  // a lopsided list leaves unpaired percentiles; draw those as plain lines
+  for (const p of [...lower.slice(pairs), ...upper.slice(pairs)]) {
+    datasets.push({ ...edge, label: pctLabel(p), data: bands[bandKey(p)], borderDash: [3, 3], borderColor: "rgba(43,76,126,.6)" });
+  }
+
+  datasets.push({
+    label: "P50 (Median)",
+    data: bands.p50,
+    borderWidth: 3,
+    tension: 0.25,
+    borderColor: "rgba(31,30,28,.85)"
   });
+  return datasets;
 }
 
-export function renderBandsChart(bands) {
+// options: dollars, retirement, goal, overlays (saved runs), expected and path
+// (value series for the deterministic mean-return path and the current run),
+// stress (per-year flags for the replayed crisis, shaded on every run)
+export function renderBandsChart(
+  bands,
+  { dollars = "nominal", retirement = null, goal = null, overlays = [], expected = null, path = null, stress = null } = {}
+) {
   const years = bands.p50.length;
-  const labels = buildLabels(years);
+  const labels = buildLabels(chartYears(years, overlays));
 
   renderLineChart({
     labels,
     datasets: [
-      {
-        label: "P10",
-        data: bands.p10,
-        borderWidth: 2,
-        tension: 0.25,
-        borderColor: "rgba(176,0,32,.55)"
-      },
-      {
-        label: "P50 (Median)",
-        data: bands.p50,
-        borderWidth: 3,
-        tension: 0.25,
-        borderColor: "rgba(31,30,28,.85)"
-      },
-      {
-        label: "P90",
-        data: bands.p90,
-        borderWidth: 2,
-        tension: 0.25,
-        borderColor: "rgba(43,76,126,.60)"
-      }
-    ]
+      ...fanDatasets(bands),
+      ...(expected
+        ? [
+            {
+              label: "Expected (mean returns)",
+              data: expected,
+              borderWidth: 2,
+              borderDash: [10, 5],
+              tension: 0.25,
+              borderColor: "rgba(46,125,50,.85)"
+            }
+          ]
+        : []),
+      ...(path
+        ? [{ label: "Current Run", data: path, borderWidth: 1.5, tension: 0.25, borderColor: "rgba(176,0,32,.7)" }]
+        : []),
+      ...(retirement
+        ? [spendingDataset("Median Spending", retirementOnly(retirement.spending.p50, retirement.startYear))]
+        : []),
+      ...(goal ? [goalDataset(goal, years)] : []),
+      ...overlayDatasets(overlays)
+    ],
+    yTitle: dollarsTitle(dollars),
+    format: formatMoney,
+    shade: stress
+  });
+}
+
+// Final values across Monte Carlo runs with percentile markers and the amount invested
+export function renderFinalsHistogram(finals, { invested, percentiles = [0.1, 0.5, 0.9], dollars = "nominal", log = false }) {
+  const { edges, counts, excluded } = histogram(finals, binCountFor(finals.length), { log });
+
+  const markers = [
+    ...percentiles.map((p) => ({
+      label: pctLabel(p),
+      value: percentile(finals, p),
+      color: p === 0.5 ? "rgba(31,30,28,.85)" : p < 0.5 ? "rgba(176,0,32,.75)" : "rgba(43,76,126,.85)"
+    })),
+    { label: "Invested", value: invested, color: "rgba(46,125,50,.85)", dash: [6, 4] }
+  ];
+
+  renderHistogramChart({
+    edges,
+    counts,
+    markers,
+    log,
+    xTitle: `Final value (${dollarsTitle(dollars).toLowerCase()})` + (excluded ? ` · ${excluded} depleted runs not shown` : "")
+  });
+}
+
+function inputRange(row) {
+  const f = row.format === "money" ? formatMoney : formatPct;
+  return `${row.label} (${f(row.low.value)} – ${f(row.high.value)})`;
+}
+
+// metric: "median" (final value) or "success" (needs sensitivity.metric);
+// rows are re-sorted by their swing on the chosen metric
+export function renderSensitivityChart(sensitivity, metric = "median") {
+  const rows = [...sensitivity.inputs].sort(
+    (a, b) => Math.abs(b.high[metric] - b.low[metric]) - Math.abs(a.high[metric] - a.low[metric])
+  );
+  const success = metric === "success";
+
+  renderTornadoChart({
+    labels: rows.map(inputRange),
+    low: rows.map((r) => r.low[metric]),
+    high: rows.map((r) => r.high[metric]),
+    base: sensitivity.base[metric],
+    format: success ? formatPct : formatMoney,
+    xTitle: success
+      ? `${sensitivity.metric === "retirement" ? "Retirement" : "Goal"} success (${sensitivity.runs} runs)`
+      : `Median final value (${sensitivity.runs} runs)`
+  });
+}
+
+export function renderAllocationChart(path) {
+  const labels = buildLabels(path.years);
+  const weights = path.series.allocation;
+
+  renderLineChart({
+    labels,
+    datasets: Object.keys(weights[0] ?? {}).map((k) => ({
+      label: assetInfo(k).label,
+      data: weights.map((w) => w[k] * 100),
+      fill: true,
+      borderWidth: 1,
+      tension: 0.25,
+      borderColor: assetInfo(k).color,
+      backgroundColor: assetInfo(k).color
+    })),
+    yTitle: "Allocation (%)",
+    stacked: true,
+    format: (x) => `${x.toFixed(1)}%`
   });
 }
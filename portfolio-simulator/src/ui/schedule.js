@@ -0,0 +1,63 @@
+const el = (id) => document.getElementById(id);
+
+// One editable row per schedule entry; `fields` are [key, prefix, label] in display order
+const SCHEDULE_LISTS = {
+  lumpSums: {
+    container: "lumpSumRows",
+    noun: "lump sum",
+    fields: [
+      ["year", "Year", "Lump sum year"],
+      ["amount", "$", "Lump sum amount (negative = withdrawal)"]
+    ]
+  },
+  pauses: {
+    container: "pauseRows",
+    noun: "pause",
+    fields: [
+      ["from", "From", "Pause from year"],
+      ["to", "To", "Pause to year"]
+    ]
+  }
+};
+
+// Fresh rows start in year 1; a zero lump sum changes nothing until edited
+export const NEW_SCHEDULE_ROW = {
+  lumpSums: { year: 1, amount: 0 },
+  pauses: { from: 1, to: 1 }
+};
+
+function scheduleRow(kind, entry, index) {
+  const { noun, fields } = SCHEDULE_LISTS[kind];
+  const inputs = fields
+    .map(
+      ([key, prefix, label]) =>
+        `<div class="field"><span class="prefix">${prefix}</span><input type="number" data-field="${key}" value="${entry[key]}" step="1" aria-label="${label}" /></div>`
+    )
+    .join("");
+
+  return `
+    <div class="schedule-row">
+      ${inputs}
+      <button class="asset-remove" data-remove-row="${index}" aria-label="Remove ${noun}">×</button>
+    </div>`;
+}
+
+// Rows for config.contributions.lumpSums and .pauses
+export function renderSchedule(contributions) {
+  for (const [kind, { container }] of Object.entries(SCHEDULE_LISTS)) {
+    const rows = el(container);
+    if (rows) rows.innerHTML = contributions[kind].map((entry, i) => scheduleRow(kind, entry, i)).join("");
+  }
+}
+
+// { lumpSums, pauses } straight from the rows; an empty field reads as NaN so validation flags it
+export function readSchedule() {
+  return Object.fromEntries(
+    Object.entries(SCHEDULE_LISTS).map(([kind, { container, fields }]) => [
+      kind,
+      [...(el(container)?.querySelectorAll(".schedule-row") ?? [])].map((row) =>
+        Object.fromEntries(fields.map(([key]) => [key, parseFloat(row.querySelector(`[data-field="${key}"]`).value)]))
+      )
+    ])
+  );
+}
@@ -20,8 +20,18 @@ function reducer(state, action) {
       return { ...state, result: action.payload };
     case "SET_BANDS":
       return { ...state, bands: action.payload };
+    case "SET_MC":
+      return { ...state, mc: action.payload };
+    case "SET_VIEW":
+      return { ...state, view: action.payload };
+    case "SET_CHART_OPTIONS":
+      return { ...state, chartOptions: { ...state.chartOptions, ...action.payload } };
+    case "SET_SENSITIVITY":
+      return { ...state, sensitivity: action.payload };
     case "SET_COMPARE":
       return { ...state, compare: action.payload };
+    case "SET_LIBRARY":
+      return { ...state, library: action.payload };
     default:
       return state;
   }
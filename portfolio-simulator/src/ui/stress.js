@@ -0,0 +1,46 @@
+import { formatMoney, formatPct } from "../core/money.js";
+import { escapeHtml } from "./html.js";
+
+const el = (id) => document.getElementById(id);
+
+function withChange(value, change, format) {
+  if (Math.abs(change) < 1e-9) return format(value);
+  return `${format(value)} <span class="mono">(${change > 0 ? "+" : "−"}${format(Math.abs(change))})</span>`;
+}
+
+const depleted = (year) => (year === null ? "-" : `year ${year}`);
+
+// Baseline row first, then every scenario; the one replayed in the current run is highlighted
+export function renderStressResults(stress, selected = null) {
+  const wrap = el("stressWrap");
+  const body = el("stressTable")?.querySelector("tbody");
+  if (!wrap || !body) return;
+
+  wrap.classList.toggle("hidden", !stress);
+  if (!stress) {
+    body.innerHTML = "";
+    return;
+  }
+
+  const { baseline, startYear } = stress;
+  const rows = stress.scenarios.map(
+    (s) => `
+      <tr${s.id === selected ? ` class="selected"` : ""}>
+        <td><div class="run-name">${escapeHtml(s.label)}</div><div class="run-desc">${escapeHtml(s.note)}</div></td>
+        <td>${startYear}–${startYear + s.years - 1}</td>
+        <td>${withChange(s.finalValue, s.finalChange, formatMoney)}</td>
+        <td>${withChange(s.maxDrawdown, s.drawdownChange, formatPct)}</td>
+        <td>${depleted(s.depletedYear)}</td>
+      </tr>`
+  );
+
+  body.innerHTML =
+    `
+      <tr>
+        <td><div class="run-name">No crisis</div><div class="run-desc">Same random returns throughout</div></td>
+        <td>-</td>
+        <td>${formatMoney(baseline.finalValue)}</td>
+        <td>${formatPct(baseline.maxDrawdown)}</td>
+        <td>${depleted(baseline.depletedYear)}</td>
+      </tr>` + rows.join("");
+}